@@ -0,0 +1,947 @@
+const { gatewayError, sendError } = require('./error-mapper');
+
+/**
+ * Request and response schemas
+ * Written once as (a subset of) JSON Schema and used both to validate request
+ * bodies and to publish the OpenAPI description (see openapi.js).
+ */
+
+const ParameterBinding = {
+  type: 'object',
+  description: 'Typed value bound to an @name referenced in the query',
+  required: ['type', 'value'],
+  properties: {
+    type: { type: 'string', description: 'SQL Server type name, e.g. int, nvarchar, datetime2, decimal' },
+    value: { description: 'Value to bind (null for NULL); dates as ISO 8601 strings, binary as base64' },
+    length: {
+      oneOf: [
+        { type: 'integer', minimum: 1, maximum: 8000 },
+        { type: 'string', enum: ['max'] }
+      ],
+      description: 'Length for char/varchar/nchar/nvarchar/binary/varbinary'
+    },
+    precision: { type: 'integer', minimum: 0, maximum: 38 },
+    scale: { type: 'integer', minimum: 0, maximum: 38 }
+  },
+  additionalProperties: false
+};
+
+const ParameterBindings = {
+  type: 'object',
+  description: 'Bindings keyed by parameter name (with or without the leading @)',
+  additionalProperties: { $ref: 'ParameterBinding' }
+};
+
+const OrderBy = {
+  description: 'Column name, or list of column names / { column, dir } objects',
+  oneOf: [
+    { type: 'string' },
+    {
+      type: 'array',
+      minItems: 1,
+      items: {
+        oneOf: [
+          { type: 'string' },
+          {
+            type: 'object',
+            required: ['column'],
+            properties: {
+              column: { type: 'string' },
+              dir: { type: 'string', enum: ['asc', 'desc', 'ASC', 'DESC'] }
+            },
+            additionalProperties: false
+          }
+        ]
+      }
+    }
+  ]
+};
+
+const paginationProperties = {
+  page: { type: 'integer', minimum: 1, description: 'Page number (offset pagination)' },
+  pageSize: { type: 'integer', minimum: 1, description: 'Rows per page (capped at MAX_PAGE_SIZE)' },
+  mode: { type: 'string', enum: ['offset', 'cursor'], description: 'Pagination mode (use cursor to start keyset pagination)' },
+  cursor: { type: ['string', 'null'], description: 'Opaque nextCursor from the previous page' },
+  orderBy: { $ref: 'OrderBy' },
+  includeTotal: { type: 'boolean', description: 'Also return the total row count' }
+};
+
+const QueryRequest = {
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: { type: 'string', minLength: 1, description: 'A single read-only SELECT statement (CTEs and UNION allowed)' },
+    parameters: { $ref: 'ParameterBindings' },
+    ...paginationProperties
+  }
+};
+
+const ExplainRequest = {
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: { type: 'string', minLength: 1, description: 'A single read-only SELECT statement (CTEs and UNION allowed)' },
+    parameters: { $ref: 'ParameterBindings' },
+    includeXml: { type: 'boolean', description: 'Also return the SHOWPLAN_XML document' }
+  }
+};
+
+const JobRequest = {
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: { type: 'string', minLength: 1, description: 'A single read-only SELECT statement (CTEs and UNION allowed)' },
+    parameters: { $ref: 'ParameterBindings' },
+    timeoutSeconds: { type: 'integer', minimum: 1, description: 'Job timeout including queue time (default JOB_DEFAULT_TIMEOUT, max JOB_MAX_TIMEOUT)' },
+    maxRows: { type: 'integer', minimum: 1, description: 'Row limit (default and max JOB_MAX_ROWS)' }
+  }
+};
+
+const SavedQueryRunRequest = {
+  type: 'object',
+  properties: {
+    parameters: {
+      type: 'object',
+      description: 'Plain values keyed by parameter name; types come from the saved query and omitted parameters use their defaults',
+      additionalProperties: true
+    },
+    maxRows: { type: 'integer', minimum: 1, description: 'Row limit (defaults to and capped at the maxRows of the saved query)' }
+  }
+};
+
+const FilterCondition = {
+  type: 'object',
+  required: ['column', 'op'],
+  properties: {
+    column: { type: 'string', minLength: 1 },
+    op: { type: 'string', enum: ['=', '<>', '<', '<=', '>', '>=', 'between', 'in', 'like', 'isNull'] },
+    value: { description: 'Comparison value; [low, high] for between, a list for in, a pattern for like, an optional boolean for isNull (false = IS NOT NULL)' }
+  },
+  additionalProperties: false
+};
+
+const TableDataRequest = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, description: 'Maximum rows without pagination (capped at 1000)' },
+    columns: {
+      description: 'Comma-separated column list, list of column names or *',
+      oneOf: [
+        { type: 'string' },
+        { type: 'array', minItems: 1, items: { type: 'string' } }
+      ]
+    },
+    where: { type: 'array', items: { $ref: 'FilterCondition' }, description: 'Conditions combined with AND' },
+    ...paginationProperties
+  }
+};
+
+const ExecuteProcedureRequest = {
+  type: 'object',
+  required: ['procedure'],
+  properties: {
+    procedure: { type: 'string', minLength: 1, description: 'Stored procedure name, optionally schema-qualified (sales.GetOrders)' },
+    parameters: {
+      type: 'object',
+      description: 'Parameter values keyed by name (e.g. { "@CustomerId": 5 }), bound with the declared SQL types',
+      additionalProperties: true
+    },
+    dryRun: { type: 'boolean', description: 'Execute inside a transaction that is always rolled back' }
+  }
+};
+
+const ExportRequest = {
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: { type: 'string', minLength: 1, description: 'A single read-only SELECT statement' },
+    parameters: { $ref: 'ParameterBindings' },
+    format: { type: 'string', enum: ['ndjson', 'csv', 'json'] },
+    maxRows: { type: 'integer', minimum: 1, description: 'Row ceiling (capped at EXPORT_MAX_ROWS)' }
+  }
+};
+
+const ErrorResponse = {
+  type: 'object',
+  required: ['error', 'code', 'retryable'],
+  properties: {
+    error: { type: 'string' },
+    message: { type: 'string' },
+    code: {
+      type: 'string',
+      description: 'Stable error code, e.g. validation_error, forbidden, not_found, limit_exceeded, cost_limit_exceeded, syntax_error, object_not_found, permission_denied, query_timeout, deadlock, database_unavailable, internal_error'
+    },
+    retryable: { type: 'boolean', description: 'The same request may succeed when retried later' },
+    requestId: { type: 'string', description: 'Request id (X-Request-Id) of a server-side failure, for the logs' },
+    position: {
+      type: 'object',
+      description: 'Location of the offending token in the query',
+      properties: {
+        offset: { type: 'integer' },
+        line: { type: 'integer' },
+        column: { type: 'integer' }
+      }
+    },
+    estimatedCost: { type: 'number', description: 'Estimated plan cost of a query rejected by the cost guard (cost_limit_exceeded)' },
+    estimatedRows: { type: 'number' },
+    limits: { type: 'object', additionalProperties: true, description: 'Cost guard limits' }
+  }
+};
+
+const Row = {
+  type: 'object',
+  description: 'Result row keyed by column name',
+  additionalProperties: true
+};
+
+const PaginationResult = {
+  type: 'object',
+  properties: {
+    mode: { type: 'string', enum: ['offset', 'cursor'] },
+    page: { type: 'integer' },
+    pageSize: { type: 'integer' },
+    hasMore: { type: 'boolean' },
+    nextCursor: { type: ['string', 'null'] },
+    total: { type: 'integer' }
+  }
+};
+
+const MaskedColumns = {
+  type: 'array',
+  description: 'Columns masked by the masking policy',
+  items: {
+    type: 'object',
+    properties: {
+      column: { type: 'string' },
+      action: { type: 'string', enum: ['drop', 'null', 'hash', 'partial'] }
+    }
+  }
+};
+
+const QueryResult = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    rows: { type: 'array', items: { $ref: 'Row' } },
+    count: { type: 'integer' },
+    masking: { $ref: 'MaskedColumns' },
+    limited: { type: 'boolean', description: 'TOP 1000 was applied (non-paginated requests)' },
+    ...PaginationResult.properties
+  }
+};
+
+const TableData = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    table: { type: 'string' },
+    rows: { type: 'array', items: { $ref: 'Row' } },
+    count: { type: 'integer' },
+    masking: { $ref: 'MaskedColumns' },
+    limit: { type: 'integer' },
+    ...PaginationResult.properties
+  }
+};
+
+const TableList = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    tables: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          schema: { type: 'string' },
+          name: { type: 'string' }
+        }
+      }
+    },
+    count: { type: 'integer' }
+  }
+};
+
+const TableSchema = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    table: { type: 'string' },
+    columns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string' },
+          maxLength: { type: ['integer', 'null'] },
+          nullable: { type: 'boolean' },
+          defaultValue: { type: ['string', 'null'] }
+        }
+      }
+    },
+    columnCount: { type: 'integer' }
+  }
+};
+
+const TableStats = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    table: { type: 'string' },
+    rowCount: { type: 'integer' },
+    columnCount: { type: 'integer' },
+    sizeKB: { type: ['integer', 'null'] }
+  }
+};
+
+const ProcedureParameter = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string' },
+    mode: { type: 'string', enum: ['IN', 'INOUT', 'OUT'] },
+    maxLength: { type: ['integer', 'null'] },
+    hasDefault: { type: ['boolean', 'null'], description: 'Whether the parameter declares a default (null if the definition is not readable)' }
+  }
+};
+
+const ProcedureList = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    procedures: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          schema: { type: 'string' },
+          name: { type: 'string' },
+          created: { type: 'string', format: 'date-time' },
+          lastAltered: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    count: { type: 'integer' }
+  }
+};
+
+const ProcedurePolicy = {
+  type: 'object',
+  properties: {
+    executable: { type: 'boolean', description: 'Whether the procedure is listed in the execution policy' },
+    classification: { type: ['string', 'null'], enum: ['readonly', 'write', null] },
+    tags: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const ProcedureDetail = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    procedure: { type: 'string' },
+    created: { type: 'string', format: 'date-time' },
+    lastAltered: { type: 'string', format: 'date-time' },
+    definition: { type: ['string', 'null'] },
+    parameters: { type: 'array', items: { $ref: 'ProcedureParameter' } },
+    policy: { $ref: 'ProcedurePolicy' }
+  }
+};
+
+const ProcedureDefinition = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    procedure: { type: 'string' },
+    definition: { type: ['string', 'null'] }
+  }
+};
+
+const ProcedureParameters = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    procedure: { type: 'string' },
+    parameters: { type: 'array', items: { $ref: 'ProcedureParameter' } },
+    count: { type: 'integer' }
+  }
+};
+
+const ProcedureExecution = {
+  type: 'object',
+  properties: {
+    returnValue: { type: ['integer', 'null'] },
+    rowsAffected: { type: 'integer' },
+    outputParameters: { type: 'object', additionalProperties: true },
+    classification: { type: 'string', enum: ['readonly', 'write'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    dryRun: { type: 'boolean', description: 'true when all changes were rolled back' },
+    resultSets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          rows: { type: 'array', items: { $ref: 'Row' } },
+          count: { type: 'integer' },
+          masking: { $ref: 'MaskedColumns' }
+        }
+      }
+    }
+  }
+};
+
+const ObjectColumn = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string' },
+    maxLength: { type: ['integer', 'null'], description: '-1 for max types' },
+    nullable: { type: 'boolean' }
+  }
+};
+
+const ViewList = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    views: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          schema: { type: 'string' },
+          name: { type: 'string' },
+          created: { type: 'string', format: 'date-time' },
+          modified: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    count: { type: 'integer' }
+  }
+};
+
+const ViewDetail = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    view: { type: 'string' },
+    created: { type: 'string', format: 'date-time' },
+    modified: { type: 'string', format: 'date-time' },
+    definition: { type: ['string', 'null'], description: 'null for encrypted views' },
+    columns: { type: 'array', items: { $ref: 'ObjectColumn' } },
+    columnCount: { type: 'integer' }
+  }
+};
+
+const FunctionKind = { type: 'string', enum: ['scalar', 'inline-table', 'table'] };
+
+const FunctionList = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    functions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          schema: { type: 'string' },
+          name: { type: 'string' },
+          kind: FunctionKind,
+          created: { type: 'string', format: 'date-time' },
+          modified: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    count: { type: 'integer' }
+  }
+};
+
+const FunctionType = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    maxLength: { type: ['integer', 'null'], description: '-1 for max types' },
+    precision: { type: 'integer' },
+    scale: { type: 'integer' }
+  }
+};
+
+const FunctionDetail = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    function: { type: 'string' },
+    kind: FunctionKind,
+    created: { type: 'string', format: 'date-time' },
+    modified: { type: 'string', format: 'date-time' },
+    definition: { type: ['string', 'null'], description: 'null for encrypted functions' },
+    parameters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          ...FunctionType.properties,
+          hasDefault: { type: ['boolean', 'null'], description: 'Whether the parameter declares a default (null if the definition is not readable)' }
+        }
+      }
+    },
+    returns: { oneOf: [{ $ref: 'FunctionType' }, { type: 'null' }], description: 'Return type of scalar functions' },
+    columns: { type: ['array', 'null'], items: { $ref: 'ObjectColumn' }, description: 'Returned columns of table-valued functions' }
+  }
+};
+
+const TableIndexes = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    table: { type: 'string' },
+    indexes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string', description: 'CLUSTERED, NONCLUSTERED, XML, SPATIAL, CLUSTERED COLUMNSTORE, ...' },
+          isUnique: { type: 'boolean' },
+          isPrimaryKey: { type: 'boolean' },
+          isUniqueConstraint: { type: 'boolean' },
+          isDisabled: { type: 'boolean' },
+          filter: { type: ['string', 'null'] },
+          columns: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                order: { type: 'string', enum: ['asc', 'desc'] }
+              }
+            }
+          },
+          includedColumns: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    count: { type: 'integer' }
+  }
+};
+
+const KeyConstraint = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    columns: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const TableReference = {
+  type: 'object',
+  properties: {
+    schema: { type: 'string' },
+    name: { type: 'string' }
+  }
+};
+
+const ForeignKey = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    table: { $ref: 'TableReference' },
+    columns: { type: 'array', items: { type: 'string' } },
+    referencedTable: { $ref: 'TableReference' },
+    referencedColumns: { type: 'array', items: { type: 'string' } },
+    onDelete: { type: 'string', enum: ['NO_ACTION', 'CASCADE', 'SET_NULL', 'SET_DEFAULT'] },
+    onUpdate: { type: 'string', enum: ['NO_ACTION', 'CASCADE', 'SET_NULL', 'SET_DEFAULT'] },
+    isDisabled: { type: 'boolean' }
+  }
+};
+
+const TableKeys = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    schema: { type: 'string' },
+    table: { type: 'string' },
+    primaryKey: { oneOf: [{ $ref: 'KeyConstraint' }, { type: 'null' }] },
+    uniqueConstraints: { type: 'array', items: { $ref: 'KeyConstraint' } },
+    foreignKeys: {
+      type: 'object',
+      properties: {
+        outbound: { type: 'array', items: { $ref: 'ForeignKey' }, description: 'Foreign keys of this table' },
+        inbound: { type: 'array', items: { $ref: 'ForeignKey' }, description: 'Foreign keys of other tables referencing this table' }
+      }
+    }
+  }
+};
+
+const QueryPlan = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    estimatedCost: { type: 'number', description: 'Estimated subtree cost of the statement' },
+    estimatedRows: { type: 'number', description: 'Estimated rows returned by the statement' },
+    maxOperatorRows: { type: 'number', description: 'Largest estimated row count of any operator (checked by the cost guard)' },
+    operators: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          nodeId: { type: 'integer' },
+          parentId: { type: ['integer', 'null'] },
+          depth: { type: 'integer' },
+          physicalOp: { type: 'string' },
+          logicalOp: { type: 'string' },
+          estimatedRows: { type: ['number', 'null'] },
+          estimatedCost: { type: ['number', 'null'], description: 'Estimated subtree cost' },
+          estimatedIO: { type: ['number', 'null'] },
+          estimatedCPU: { type: ['number', 'null'] },
+          object: {
+            type: ['object', 'null'],
+            properties: {
+              schema: { type: ['string', 'null'] },
+              table: { type: 'string' },
+              index: { type: ['string', 'null'] }
+            }
+          }
+        }
+      }
+    },
+    warnings: { type: 'array', items: { type: 'string' }, description: 'Plan warnings such as NoJoinPredicate' },
+    missingIndexes: { type: 'integer' },
+    guard: {
+      type: 'object',
+      properties: {
+        maxEstimatedCost: { type: ['number', 'null'] },
+        maxEstimatedRows: { type: ['number', 'null'] },
+        wouldReject: { type: 'boolean', description: 'Whether the query route would reject the query as submitted' }
+      }
+    },
+    plan: { type: 'string', description: 'SHOWPLAN_XML document (includeXml)' }
+  }
+};
+
+const Job = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    database: { type: 'string' },
+    status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled', 'timeout'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    startedAt: { type: ['string', 'null'], format: 'date-time' },
+    finishedAt: { type: ['string', 'null'], format: 'date-time' },
+    expiresAt: { type: ['string', 'null'], format: 'date-time', description: 'When the finished job and its rows are removed' },
+    timeoutSeconds: { type: 'integer' },
+    maxRows: { type: 'integer' },
+    rowCount: { type: 'integer', description: 'Rows collected so far' },
+    truncated: { type: 'boolean', description: 'The query returned more than maxRows rows' },
+    columns: { type: ['array', 'null'], items: { type: 'string' } },
+    masking: { $ref: 'MaskedColumns' },
+    error: { type: ['string', 'null'] },
+    errorCode: { type: ['string', 'null'], description: 'Stable error code of a failed job' },
+    deleted: { type: 'boolean', description: 'The finished job was removed (DELETE)' }
+  }
+};
+
+const JobList = {
+  type: 'object',
+  properties: {
+    jobs: { type: 'array', items: { $ref: 'Job' } },
+    count: { type: 'integer' }
+  }
+};
+
+const JobResult = {
+  type: 'object',
+  properties: {
+    ...Job.properties,
+    rows: { type: 'array', items: { $ref: 'Row' } },
+    count: { type: 'integer' },
+    page: { type: 'integer' },
+    pageSize: { type: 'integer' },
+    hasMore: { type: 'boolean' }
+  }
+};
+
+const SavedQueryParameter = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string' },
+    length: { oneOf: [{ type: 'integer' }, { type: 'string', enum: ['max'] }] },
+    precision: { type: 'integer' },
+    scale: { type: 'integer' },
+    description: { type: ['string', 'null'] },
+    required: { type: 'boolean' },
+    default: { description: 'Value used when the parameter is omitted (optional parameters only)' }
+  }
+};
+
+const SavedQueryList = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    queries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: ['string', 'null'] },
+          maxRows: { type: 'integer' },
+          parameters: { type: 'array', items: { $ref: 'SavedQueryParameter' } }
+        }
+      }
+    },
+    count: { type: 'integer' }
+  }
+};
+
+const SavedQueryResult = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    name: { type: 'string' },
+    rows: { type: 'array', items: { $ref: 'Row' } },
+    count: { type: 'integer' },
+    masking: { $ref: 'MaskedColumns' },
+    limited: { type: 'boolean', description: 'The row limit was applied' }
+  }
+};
+
+const CacheInvalidation = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    invalidated: { type: 'integer' }
+  }
+};
+
+const AuditSearch = {
+  type: 'object',
+  properties: {
+    entries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          timestamp: { type: 'string', format: 'date-time' },
+          keyId: { type: ['string', 'null'] },
+          clientIp: { type: 'string' },
+          method: { type: 'string' },
+          path: { type: 'string' },
+          status: { type: 'integer' },
+          outcome: { type: 'string', enum: ['success', 'rejected', 'error', 'aborted'] },
+          durationMs: { type: 'number' },
+          database: { type: 'string' },
+          sql: { type: 'string' },
+          procedure: { type: 'string' },
+          parameterNames: { type: 'array', items: { type: 'string' } },
+          rowCount: { type: 'integer' },
+          error: { type: 'string' },
+          errorCode: { type: 'string' },
+          sqlErrorNumber: { type: 'integer' }
+        }
+      }
+    },
+    count: { type: 'integer' }
+  }
+};
+
+const schemas = {
+  ParameterBinding,
+  ParameterBindings,
+  OrderBy,
+  QueryRequest,
+  ExplainRequest,
+  JobRequest,
+  SavedQueryRunRequest,
+  FilterCondition,
+  TableDataRequest,
+  ExecuteProcedureRequest,
+  ExportRequest,
+  Error: ErrorResponse,
+  Row,
+  MaskedColumns,
+  QueryResult,
+  TableData,
+  TableList,
+  TableSchema,
+  TableStats,
+  ProcedureParameter,
+  ProcedureList,
+  ProcedurePolicy,
+  ProcedureDetail,
+  ProcedureDefinition,
+  ProcedureParameters,
+  ProcedureExecution,
+  ObjectColumn,
+  ViewList,
+  ViewDetail,
+  FunctionList,
+  FunctionType,
+  FunctionDetail,
+  TableIndexes,
+  KeyConstraint,
+  TableReference,
+  ForeignKey,
+  TableKeys,
+  QueryPlan,
+  Job,
+  JobList,
+  JobResult,
+  SavedQueryParameter,
+  SavedQueryList,
+  SavedQueryResult,
+  CacheInvalidation,
+  AuditSearch
+};
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * Supports $ref, type, enum, oneOf, properties, required, additionalProperties,
+ * items, minItems, minimum, maximum and minLength.
+ * @param {Object} schema - Schema (or { $ref })
+ * @param {*} value - Value to validate
+ * @param {string} path - Location used in error messages
+ * @returns {string|null} Error message or null when valid
+ */
+function check(schema, value, path) {
+  if (schema.$ref) {
+    return check(schemas[schema.$ref], value, path);
+  }
+
+  if (schema.oneOf) {
+    return schema.oneOf.some(option => check(option, value, path) === null)
+      ? null
+      : `${path} has an invalid format`;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+    if (!matches) {
+      return `${path} must be of type ${types.join(' or ')}`;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of: ${schema.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${path} must be >= ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${path} must be <= ${schema.maximum}`;
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    return `${path} must not be empty`;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return `${path} must contain at least ${schema.minItems} item(s)`;
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = check(schema.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) {
+        return `${path}.${name} is required`;
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties && schema.properties[name];
+      if (propertySchema) {
+        const error = check(propertySchema, propertyValue, `${path}.${name}`);
+        if (error) return error;
+      } else if (schema.additionalProperties === false) {
+        return `${path}.${name} is not allowed`;
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        const error = check(schema.additionalProperties, propertyValue, `${path}.${name}`);
+        if (error) return error;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create middleware validating req.body against a named schema
+ * @param {string} name - Schema name (e.g. "QueryRequest")
+ * @returns {Function} Express middleware responding 400 on invalid bodies
+ */
+function validateBody(name) {
+  if (!schemas[name]) {
+    throw new Error(`Unknown schema '${name}'`);
+  }
+
+  return (req, res, next) => {
+    const error = check(schemas[name], req.body === undefined ? {} : req.body, 'body');
+    if (error) {
+      return sendError(res, gatewayError(400, 'validation_error', `Invalid request body: ${error}`));
+    }
+    next();
+  };
+}
+
+/**
+ * Inline $ref references so a schema can be used standalone (e.g. as an MCP tool input schema)
+ * @param {Object} schema - Schema possibly containing { $ref: 'Name' }
+ * @returns {Object}
+ */
+function resolveSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(resolveSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (schema.$ref) {
+    return resolveSchema(schemas[schema.$ref]);
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    result[key] = resolveSchema(value);
+  }
+  return result;
+}
+
+module.exports = {
+  schemas,
+  resolveSchema,
+  validateBody
+};
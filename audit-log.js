@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+
+/**
+ * Audit log
+ * One JSON object per line, written to a daily file (audit-YYYY-MM-DD.jsonl) under
+ * AUDIT_LOG_DIR. Files older than AUDIT_RETENTION_DAYS are removed on rotation.
+ */
+
+const AUDIT_ENABLED = process.env.AUDIT_LOG !== 'false';
+const AUDIT_LOG_DIR = path.resolve(process.env.AUDIT_LOG_DIR || 'logs/audit');
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS || '30');
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+let stream = null;
+let streamDate = null;
+
+/**
+ * Get the write stream for a day, rotating when the day changes
+ * @param {string} date - YYYY-MM-DD (UTC)
+ * @returns {fs.WriteStream}
+ */
+function getStream(date) {
+  if (streamDate !== date) {
+    if (stream) {
+      stream.end();
+    }
+
+    fs.mkdirSync(AUDIT_LOG_DIR, { recursive: true });
+    stream = fs.createWriteStream(path.join(AUDIT_LOG_DIR, `audit-${date}.jsonl`), { flags: 'a' });
+    stream.on('error', error => logger.error('Audit log write failed', { error: error.message }));
+    streamDate = date;
+
+    removeExpiredFiles();
+  }
+  return stream;
+}
+
+/**
+ * Delete audit files older than the retention period
+ */
+function removeExpiredFiles() {
+  const cutoff = new Date(Date.now() - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  fs.readdir(AUDIT_LOG_DIR, (error, files) => {
+    if (error) return;
+    for (const file of files) {
+      const match = file.match(FILE_PATTERN);
+      if (match && match[1] < cutoff) {
+        fs.unlink(path.join(AUDIT_LOG_DIR, file), unlinkError => {
+          if (unlinkError) logger.error('Failed to remove audit file', { file, error: unlinkError.message });
+        });
+      }
+    }
+  });
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} entry - Audit fields (keyId, clientIp, database, sql, procedure, ...)
+ */
+function record(entry) {
+  if (!AUDIT_ENABLED) return;
+
+  const timestamp = new Date().toISOString();
+  getStream(timestamp.slice(0, 10)).write(`${JSON.stringify({ timestamp, ...entry })}\n`);
+}
+
+/**
+ * Attach audit details to the current request
+ * Fields are merged into res.locals.audit and written when the response completes.
+ * @param {Object} res - Express response
+ * @param {Object} fields - e.g. { database, sql, parameterNames, rowCount }
+ */
+function setAuditContext(res, fields) {
+  res.locals.audit = { ...(res.locals.audit || {}), ...fields };
+}
+
+/**
+ * Search the audit log
+ * @param {Object} filters
+ * @param {Date} [filters.from] - Earliest timestamp (inclusive)
+ * @param {Date} [filters.to] - Latest timestamp (inclusive)
+ * @param {string} [filters.keyId] - API key id
+ * @param {string} [filters.database] - Database name (case-insensitive)
+ * @param {string} [filters.outcome] - success, rejected, error or aborted
+ * @param {number} [filters.limit] - Maximum number of entries
+ * @returns {Promise<Array<Object>>} Matching entries, newest first
+ */
+async function search({ from, to, keyId, database, outcome, limit = 100 }) {
+  let files;
+  try {
+    files = await fs.promises.readdir(AUDIT_LOG_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const fromDay = from ? from.toISOString().slice(0, 10) : null;
+  const toDay = to ? to.toISOString().slice(0, 10) : null;
+
+  const days = files
+    .map(file => file.match(FILE_PATTERN))
+    .filter(match => match && (!fromDay || match[1] >= fromDay) && (!toDay || match[1] <= toDay))
+    .map(match => match[1])
+    .sort()
+    .reverse();
+
+  const matches = entry => {
+    const time = Date.parse(entry.timestamp);
+    return (!from || time >= from.getTime()) &&
+      (!to || time <= to.getTime()) &&
+      (!keyId || entry.keyId === keyId) &&
+      (!database || (entry.database && entry.database.toLowerCase() === database.toLowerCase())) &&
+      (!outcome || entry.outcome === outcome);
+  };
+
+  const results = [];
+  for (const day of days) {
+    // Keep only the newest `limit` matches of the file
+    const dayMatches = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(AUDIT_LOG_DIR, `audit-${day}.jsonl`)),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (matches(entry)) {
+        dayMatches.push(entry);
+        if (dayMatches.length > limit) dayMatches.shift();
+      }
+    }
+
+    results.push(...dayMatches.reverse());
+    if (results.length >= limit) break;
+  }
+
+  return results.slice(0, limit);
+}
+
+/**
+ * Flush and close the current audit file
+ * @returns {Promise<void>}
+ */
+function closeAuditLog() {
+  return new Promise(resolve => {
+    if (!stream) return resolve();
+    stream.end(resolve);
+    stream = null;
+    streamDate = null;
+  });
+}
+
+module.exports = {
+  record,
+  setAuditContext,
+  search,
+  closeAuditLog
+};
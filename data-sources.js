@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Data sources and logical databases
+ * The databases clients address in /databases/:database/... are logical aliases. Each
+ * alias routes to a physical database on a named data source (SQL Server instance).
+ * Aliases are the database whitelist: anything not listed is rejected.
+ *
+ * Loaded from the JSON/YAML file named by DATA_SOURCES_FILE (see
+ * data-sources.example.yaml):
+ *
+ *   dataSources:
+ *     primary:
+ *       server: sql1.internal
+ *       user: gateway
+ *       passwordEnv: SQL1_PASSWORD   # or password: ...
+ *       encrypt: true
+ *       pool: { max: 10, min: 2, idleTimeout: 30000 }
+ *   databases:
+ *     Common: primary                                 # same physical name
+ *     Reports: { dataSource: reporting, database: ReportsDB, pool: { max: 20 } }
+ *
+ * Without DATA_SOURCES_FILE a single "default" data source is built from DB_SERVER,
+ * DB_PORT, DB_USER, DB_PASSWORD and DB_ENCRYPT, and every ALLOWED_DATABASES entry is an
+ * alias of the physical database of the same name.
+ */
+
+const POOL_SETTINGS = ['max', 'min', 'idleTimeout'];
+
+/**
+ * Normalize pool settings
+ * @param {Object} [pool] - { max, min, idleTimeout }
+ * @param {string} label - Label used in error messages
+ * @returns {Object} Settings that were given
+ */
+function normalizePool(pool, label) {
+  if (pool === undefined) return {};
+  if (!pool || typeof pool !== 'object' || Array.isArray(pool)) {
+    throw new Error(`${label} pool must be an object`);
+  }
+
+  const settings = {};
+  for (const name of POOL_SETTINGS) {
+    if (pool[name] === undefined) continue;
+    if (!Number.isInteger(pool[name]) || pool[name] < 0) {
+      throw new Error(`${label} pool.${name} must be a non-negative integer`);
+    }
+    settings[name] = pool[name];
+  }
+  return settings;
+}
+
+/**
+ * Normalize one data source
+ * @param {string} name - Data source name
+ * @param {Object} entry - Data source settings
+ * @returns {Object}
+ */
+function normalizeDataSource(name, entry) {
+  const label = `Data source '${name}'`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (!entry.server || typeof entry.server !== 'string') {
+    throw new Error(`${label} requires a server`);
+  }
+  if (entry.port !== undefined && !Number.isInteger(entry.port)) {
+    throw new Error(`${label} port must be an integer`);
+  }
+
+  let password = entry.password;
+  if (entry.passwordEnv !== undefined) {
+    if (process.env[entry.passwordEnv] === undefined) {
+      throw new Error(`${label} reads its password from '${entry.passwordEnv}', which is not set`);
+    }
+    password = process.env[entry.passwordEnv];
+  }
+
+  return {
+    name,
+    server: entry.server,
+    port: entry.port || 1433,
+    user: entry.user,
+    password,
+    encrypt: entry.encrypt === true,
+    trustServerCertificate: entry.trustServerCertificate !== false,
+    pool: normalizePool(entry.pool, label)
+  };
+}
+
+/**
+ * Normalize one logical database
+ * @param {string} alias - Logical database name
+ * @param {string|Object} entry - Data source name, or { dataSource, database, pool }
+ * @param {Map} dataSources - Data sources by name
+ * @returns {Object}
+ */
+function normalizeDatabase(alias, entry, dataSources) {
+  const label = `Database '${alias}'`;
+  const settings = typeof entry === 'string' ? { dataSource: entry } : entry;
+  if (!settings || typeof settings !== 'object') {
+    throw new Error(`${label} must be a data source name or an object`);
+  }
+  if (!/^[a-zA-Z_][a-zA-Z0-9_-]*$/.test(alias)) {
+    throw new Error(`${label} is not a valid database name`);
+  }
+  if (!dataSources.has(settings.dataSource)) {
+    throw new Error(`${label} refers to unknown data source '${settings.dataSource}'`);
+  }
+  if (settings.database !== undefined && (typeof settings.database !== 'string' || !settings.database)) {
+    throw new Error(`${label} database must be a non-empty string`);
+  }
+
+  return {
+    alias,
+    dataSource: dataSources.get(settings.dataSource),
+    database: settings.database || alias,
+    pool: normalizePool(settings.pool, label)
+  };
+}
+
+/**
+ * Load the data sources file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Array<Object>} Logical databases
+ */
+function loadDataSourcesFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const data = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+
+  if (!data || typeof data.dataSources !== 'object' || Array.isArray(data.dataSources)) {
+    throw new Error(`Data sources file '${filePath}' must contain a "dataSources" object`);
+  }
+  if (typeof data.databases !== 'object' || Array.isArray(data.databases)) {
+    throw new Error(`Data sources file '${filePath}' must contain a "databases" object`);
+  }
+
+  const dataSources = new Map(Object.entries(data.dataSources).map(([name, entry]) => [name, normalizeDataSource(name, entry)]));
+  const databases = Object.entries(data.databases || {}).map(([alias, entry]) => normalizeDatabase(alias, entry, dataSources));
+
+  const aliases = new Set();
+  for (const { alias } of databases) {
+    if (aliases.has(alias.toLowerCase())) {
+      throw new Error(`Duplicate database '${alias}' in '${filePath}'`);
+    }
+    aliases.add(alias.toLowerCase());
+  }
+
+  return databases;
+}
+
+/**
+ * Build the logical databases from the environment
+ * @returns {Array<Object>}
+ */
+function loadDatabases() {
+  if (process.env.DATA_SOURCES_FILE) {
+    return loadDataSourcesFile(path.resolve(process.env.DATA_SOURCES_FILE));
+  }
+
+  const dataSource = {
+    name: 'default',
+    server: process.env.DB_SERVER,
+    port: parseInt(process.env.DB_PORT || '1433'),
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    encrypt: process.env.DB_ENCRYPT === 'true',
+    trustServerCertificate: true,
+    pool: {}
+  };
+
+  const names = process.env.ALLOWED_DATABASES
+    ? process.env.ALLOWED_DATABASES.split(',').map(db => db.trim()).filter(Boolean)
+    : [];
+
+  return names.map(name => ({ alias: name, dataSource, database: name, pool: {} }));
+}
+
+// Logical databases keyed by lowercase alias
+const databases = new Map(loadDatabases().map(entry => [entry.alias.toLowerCase(), entry]));
+
+/**
+ * Get the logical database of an alias
+ * @param {string} alias - Logical database name (case-insensitive)
+ * @returns {{alias: string, dataSource: Object, database: string, pool: Object}|null}
+ */
+function getDatabase(alias) {
+  return databases.get(String(alias).toLowerCase()) || null;
+}
+
+/**
+ * Get the physical database an alias routes to
+ * @param {string} alias - Logical database name (case-insensitive)
+ * @returns {string|null}
+ */
+function getPhysicalDatabase(alias) {
+  const entry = getDatabase(alias);
+  return entry ? entry.database : null;
+}
+
+/**
+ * List the logical database names (lowercase), i.e. the whitelist
+ * @returns {string[]}
+ */
+function listDatabases() {
+  return [...databases.keys()];
+}
+
+module.exports = {
+  getDatabase,
+  getPhysicalDatabase,
+  listDatabases
+};
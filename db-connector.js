@@ -1,112 +1,394 @@
 const sql = require('mssql');
+const { resolveSqlType, toSqlValue } = require('./sql-types');
+const { recordQuery } = require('./metrics');
+const logger = require('./logger');
+const { gatewayError } = require('./error-mapper');
+const { getDatabase, listDatabases } = require('./data-sources');
 
-// Database connection configuration
-const config = {
-  server: process.env.DB_SERVER,
-  port: parseInt(process.env.DB_PORT || '1433'),
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  pool: {
-    max: 10,
-    min: 2,
-    idleTimeoutMillis: 30000
-  },
-  options: {
-    encrypt: process.env.DB_ENCRYPT === 'true',
-    trustServerCertificate: true,
-    connectTimeout: 15000,
-    requestTimeout: 30000
-  }
-};
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @returns {number}
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Whitelisted logical databases (lowercase aliases, see data-sources.js)
+const allowedDatabases = listDatabases();
 
-// Allowed databases whitelist
-const allowedDatabases = process.env.ALLOWED_DATABASES
-  ? process.env.ALLOWED_DATABASES.split(',').map(db => db.trim().toLowerCase())
-  : [];
+// One connection pool per whitelisted database, keyed by lowercase name.
+// The map holds the connect promise so concurrent first requests share a pool.
+const pools = new Map();
 
-let pool = null;
+// Separate pools for query jobs (see query-jobs.js): job requests may run longer than
+// requestTimeout and must not take connections from interactive requests.
+const jobPools = new Map();
+
+// Job requests are cancelled by their own timer; the driver timeout is only a backstop
+const JOB_REQUEST_TIMEOUT = (envInt('JOB_MAX_TIMEOUT', 600) + 30) * 1000;
+
+/**
+ * Build the pool configuration for a database
+ * Connects to the physical database on the alias' data source. Pool sizing is taken from
+ * the alias, then DB_POOL_MAX_<ALIAS> / DB_POOL_MIN_<ALIAS> / DB_POOL_IDLE_TIMEOUT_<ALIAS>,
+ * then the data source, then DB_POOL_MAX / DB_POOL_MIN / DB_POOL_IDLE_TIMEOUT.
+ * @param {string} database - Whitelisted database alias
+ * @returns {Object} mssql connection config
+ */
+function getPoolConfig(database) {
+  const { dataSource, database: physical, pool } = getDatabase(database);
+  const suffix = database.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const setting = (name, env, fallback) =>
+    pool[name] ?? envInt(`${env}_${suffix}`, dataSource.pool[name] ?? envInt(env, fallback));
+
+  const max = setting('max', 'DB_POOL_MAX', 10);
+  return {
+    server: dataSource.server,
+    port: dataSource.port,
+    user: dataSource.user,
+    password: dataSource.password,
+    database: physical,
+    pool: {
+      max,
+      min: Math.min(setting('min', 'DB_POOL_MIN', 2), max),
+      idleTimeoutMillis: setting('idleTimeout', 'DB_POOL_IDLE_TIMEOUT', 30000)
+    },
+    options: {
+      encrypt: dataSource.encrypt,
+      trustServerCertificate: dataSource.trustServerCertificate,
+      connectTimeout: 15000,
+      requestTimeout: 30000
+    }
+  };
+}
 
 /**
  * Validate if database is in the whitelist
  * @param {string} database - Database name to validate
- * @throws {Error} If database is not allowed
+ * @throws {Error} 403 if database is not allowed, 503 if no database is configured
  */
 function validateDatabase(database) {
   if (allowedDatabases.length === 0) {
-    throw new Error('No databases are configured in the whitelist');
+    throw gatewayError(503, 'not_configured', 'No databases are configured in the whitelist');
   }
 
   if (!allowedDatabases.includes(database.toLowerCase())) {
-    throw new Error(`Database '${database}' is not allowed. Allowed databases: ${allowedDatabases.join(', ')}`);
+    throw gatewayError(403, 'database_not_allowed', `Database '${database}' is not allowed. Allowed databases: ${allowedDatabases.join(', ')}`);
   }
 }
 
 /**
- * Get or create connection pool
+ * Get or create a connection pool in a pool map
+ * @param {Map} map - pools or jobPools
+ * @param {string} database - Whitelisted database name
+ * @param {(alias: string) => Object} buildConfig - Builds the mssql config from the configured database alias
+ * @param {string} label - Pool label used in log messages
  * @returns {Promise<sql.ConnectionPool>}
  */
-async function getPool() {
-  if (!pool) {
-    pool = await sql.connect(config);
-    console.log('Database connection pool created');
+function connectPool(map, database, buildConfig, label) {
+  validateDatabase(database);
+
+  const key = database.toLowerCase();
+  if (!map.has(key)) {
+    const { alias, dataSource, database: physical } = getDatabase(key);
+    const pool = new sql.ConnectionPool(buildConfig(alias));
+    const connecting = pool.connect()
+      .then(() => {
+        logger.info(`${label} created`, { database: alias, dataSource: dataSource.name, physicalDatabase: physical });
+        return pool;
+      })
+      .catch(error => {
+        // Allow the next request to retry the connection
+        map.delete(key);
+        throw error;
+      });
+    map.set(key, connecting);
   }
-  return pool;
+
+  return map.get(key);
+}
+
+/**
+ * Get or create the connection pool for a database
+ * @param {string} database - Whitelisted database name
+ * @returns {Promise<sql.ConnectionPool>}
+ */
+async function getPool(database) {
+  return connectPool(pools, database, getPoolConfig, 'Database connection pool');
+}
+
+/**
+ * Get or create the query job pool for a database
+ * Sized by DB_JOB_POOL_MAX (default 2), which also bounds the jobs running at once per database.
+ * @param {string} database - Whitelisted database name
+ * @returns {Promise<sql.ConnectionPool>}
+ */
+async function getJobPool(database) {
+  return connectPool(jobPools, database, name => {
+    const config = getPoolConfig(name);
+    return {
+      ...config,
+      pool: { ...config.pool, max: Math.max(envInt('DB_JOB_POOL_MAX', 2), 1), min: 0 },
+      options: { ...config.options, requestTimeout: JOB_REQUEST_TIMEOUT }
+    };
+  }, 'Query job connection pool');
 }
 
 /**
  * Execute a query on a specific database
  * @param {string} database - Database name
  * @param {string} query - SQL query to execute
+ * @param {Object} [parameters] - Validated bindings keyed by name (e.g., {"customerId": {"type": "int", "value": 5}})
  * @returns {Promise<Array>} Query results
  */
-async function executeQuery(database, query) {
-  // Validate database is in whitelist
-  validateDatabase(database);
+async function executeQuery(database, query, parameters = {}) {
+  const dbPool = await getPool(database);
+  const request = dbPool.request();
+  bindParameters(request, parameters);
 
-  const dbPool = await getPool();
+  const result = await timed(database, 'query', () => request.query(query), result => result.recordset ? result.recordset.length : 0);
+  return result.recordset;
+}
+
+/**
+ * Check that a database answers a trivial query within a time limit
+ * The connection is opened on first use, so the limit also covers connecting.
+ * @param {string} database - Database name
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @returns {Promise<number>} Round-trip latency in milliseconds
+ * @throws {Error} When the database fails, or a 503 'timeout' gateway error when it does not answer in time
+ */
+async function probeDatabase(database, timeoutMs) {
+  const start = Date.now();
+  let request = null;
+  let timedOut = false;
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      if (request) request.cancel();
+      reject(gatewayError(503, 'timeout', `Database did not respond within ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  const probe = (async () => {
+    const dbPool = await getPool(database);
+    if (timedOut) return;
+    request = dbPool.request();
+    await request.query('SELECT 1 AS ok');
+  })();
+
+  try {
+    await Promise.race([probe, timeout]);
+    return Date.now() - start;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run a SQL Server request and record its duration and row count
+ * @param {string} database - Database name
+ * @param {string} kind - Request kind for the metrics (query, procedure, plan)
+ * @param {() => Promise<*>} run - Executes the request
+ * @param {(result: *) => number} countRows - Row count of the result
+ * @returns {Promise<*>} The result of run
+ */
+async function timed(database, kind, run, countRows) {
+  const start = process.hrtime.bigint();
+  const seconds = () => Number(process.hrtime.bigint() - start) / 1e9;
+  try {
+    const result = await run();
+    recordQuery(database, kind, seconds(), countRows(result));
+    return result;
+  } catch (error) {
+    recordQuery(database, kind, seconds(), null);
+    throw error;
+  }
+}
+
+/**
+ * Create a streaming request on a specific database
+ * The caller attaches 'recordset', 'row', 'error' and 'done' listeners and starts
+ * execution with request.query(query); pause()/resume() apply backpressure.
+ * @param {string} database - Database name
+ * @param {Object} [parameters] - Validated bindings keyed by name
+ * @returns {Promise<sql.Request>}
+ */
+async function createStreamingRequest(database, parameters = {}) {
+  const dbPool = await getPool(database);
   const request = dbPool.request();
+  request.stream = true;
+  bindParameters(request, parameters);
+  return request;
+}
 
-  // Switch to the target database
-  await request.query(`USE [${database}]`);
+/**
+ * Get the estimated execution plan of a query without running it
+ * SET SHOWPLAN_XML is session state, so the batches run inside a transaction to keep
+ * them on one pooled connection; the option is switched off before the connection is returned.
+ * @param {string} database - Database name
+ * @param {string} query - SQL query to compile
+ * @param {Object} [parameters] - Validated bindings keyed by name
+ * @returns {Promise<string>} Showplan XML
+ */
+async function getEstimatedPlan(database, query, parameters = {}) {
+  const dbPool = await getPool(database);
+  const transaction = new sql.Transaction(dbPool);
+  await transaction.begin();
 
-  // Execute the query
-  const result = await request.query(query);
-  return result.recordset;
+  try {
+    await new sql.Request(transaction).batch('SET SHOWPLAN_XML ON');
+    try {
+      const request = new sql.Request(transaction);
+      bindParameters(request, parameters);
+      const result = await timed(database, 'plan', () => request.query(query), () => 0);
+      const row = result.recordset && result.recordset[0];
+      if (!row) {
+        throw new Error('SQL Server did not return an estimated plan');
+      }
+      return Object.values(row)[0];
+    } finally {
+      await new sql.Request(transaction).batch('SET SHOWPLAN_XML OFF');
+    }
+  } finally {
+    try {
+      await transaction.rollback();
+    } catch (error) {
+      logger.warn('Estimated plan transaction could not roll back', { database, error: error.message });
+    }
+  }
 }
 
 /**
- * Close the connection pool
+ * Create a streaming request for a query job
+ * Same contract as createStreamingRequest, on the job pool of the database.
+ * @param {string} database - Database name
+ * @param {Object} [parameters] - Validated bindings keyed by name
+ * @returns {Promise<sql.Request>}
  */
-async function closePool() {
-  if (pool) {
-    await pool.close();
-    pool = null;
-    console.log('Database connection pool closed');
+async function createJobRequest(database, parameters = {}) {
+  const dbPool = await getJobPool(database);
+  const request = dbPool.request();
+  request.stream = true;
+  bindParameters(request, parameters);
+  return request;
+}
+
+/**
+ * Bind typed parameters to a request
+ * @param {sql.Request} request - mssql request
+ * @param {Object} parameters - Bindings keyed by name (e.g., {"customerId": {"type": "int", "value": 5}})
+ */
+function bindParameters(request, parameters) {
+  for (const [key, definition] of Object.entries(parameters)) {
+    const paramName = key.startsWith('@') ? key.substring(1) : key;
+    request.input(paramName, resolveSqlType(definition), toSqlValue(definition));
   }
 }
 
+/**
+ * Get the connection counts of the connected pools
+ * @returns {Promise<Array<{database: string, pool: string, size: number, borrowed: number, available: number, pending: number}>>}
+ *   pool is "default" or "jobs"; pools that are still connecting or failed are left out
+ */
+async function getPoolStats() {
+  const entries = [
+    ...[...pools.entries()].map(([database, connecting]) => ({ database, pool: 'default', connecting })),
+    ...[...jobPools.entries()].map(([database, connecting]) => ({ database, pool: 'jobs', connecting }))
+  ];
+
+  // Read only pools that are already connected; a connecting pool must not delay the caller
+  const pending = Symbol('pending');
+  const resolved = await Promise.all(entries.map(entry =>
+    Promise.race([entry.connecting, Promise.resolve(pending)]).catch(() => pending)
+  ));
+
+  return entries.flatMap((entry, index) => {
+    const pool = resolved[index];
+    if (pool === pending) return [];
+    return [{
+      database: entry.database,
+      pool: entry.pool,
+      size: pool.size,
+      borrowed: pool.borrowed,
+      available: pool.available,
+      pending: pool.pending
+    }];
+  });
+}
+
+/**
+ * Close all connection pools
+ */
+async function closePool() {
+  const entries = [...pools.entries(), ...[...jobPools.entries()].map(([key, connecting]) => [`${key} (jobs)`, connecting])];
+  pools.clear();
+  jobPools.clear();
+
+  await Promise.all(entries.map(async ([key, connecting]) => {
+    try {
+      const pool = await connecting;
+      await pool.close();
+      logger.info('Database connection pool closed', { database: key });
+    } catch (error) {
+      logger.error('Failed to close connection pool', { database: key, error: error.message });
+    }
+  }));
+}
+
 /**
  * Execute a stored procedure on a specific database
  * @param {string} database - Database name
  * @param {string} procedure - Stored procedure name
- * @param {Object} parameters - Key-value pairs of parameters (e.g., {"@param1": "value1"})
+ * @param {Object} parameters - Typed bindings keyed by name ({ type, value, length?, precision?, scale?, output? });
+ *   bindings with output: true are registered as OUTPUT parameters
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Run inside a transaction that is always rolled back
  * @returns {Promise<Object>} Execution results with returnValue, rowsAffected, resultSets, outputParameters
  */
-async function executeStoredProcedure(database, procedure, parameters = {}) {
-  // Validate database is in whitelist
-  validateDatabase(database);
+async function executeStoredProcedure(database, procedure, parameters = {}, { dryRun = false } = {}) {
+  const dbPool = await getPool(database);
 
-  const dbPool = await getPool();
+  const countRows = result => result.resultSets.reduce((total, set) => total + set.count, 0);
 
-  // Switch to the target database
-  await dbPool.request().query(`USE [${database}]`);
+  if (!dryRun) {
+    return timed(database, 'procedure', () => runStoredProcedure(dbPool.request(), procedure, parameters), countRows);
+  }
 
-  // Create request and add parameters
-  const request = dbPool.request();
+  const transaction = new sql.Transaction(dbPool);
+  await transaction.begin();
+  try {
+    return await timed(database, 'procedure', () => runStoredProcedure(new sql.Request(transaction), procedure, parameters), countRows);
+  } finally {
+    try {
+      await transaction.rollback();
+    } catch (error) {
+      // The procedure (or an error) already ended the transaction
+      logger.warn('Dry run could not roll back', { database, procedure, error: error.message });
+    }
+  }
+}
 
-  for (const [key, value] of Object.entries(parameters)) {
+/**
+ * Bind parameters, execute a stored procedure and format the result
+ * @param {sql.Request} request - Request on a pool or transaction
+ * @param {string} procedure - Stored procedure name
+ * @param {Object} parameters - Typed bindings (see executeStoredProcedure)
+ * @returns {Promise<Object>}
+ */
+async function runStoredProcedure(request, procedure, parameters) {
+  for (const [key, definition] of Object.entries(parameters)) {
     const paramName = key.startsWith('@') ? key.substring(1) : key;
-    request.input(paramName, value);
+    if (definition.output) {
+      request.output(paramName, resolveSqlType(definition), toSqlValue(definition));
+    } else {
+      request.input(paramName, resolveSqlType(definition), toSqlValue(definition));
+    }
   }
 
   // Execute stored procedure
@@ -134,7 +416,12 @@ async function executeStoredProcedure(database, procedure, parameters = {}) {
 module.exports = {
   getPool,
   executeQuery,
+  createStreamingRequest,
+  createJobRequest,
+  getEstimatedPlan,
   executeStoredProcedure,
+  getPoolStats,
+  probeDatabase,
   closePool,
   validateDatabase,
   allowedDatabases
@@ -0,0 +1,176 @@
+const logger = require('./logger');
+const { setAuditContext } = require('./audit-log');
+
+/**
+ * Error mapping
+ * Turns errors thrown while serving a request into a stable response:
+ * { error, code, retryable } with a matching HTTP status.
+ *
+ * - Gateway errors (gatewayError, or any error carrying statusCode) keep their status
+ *   and message.
+ * - SQL Server errors are mapped by error number, driver errors (mssql RequestError /
+ *   ConnectionError) by error code.
+ * - Errors caused by the caller's own SQL (syntax, unknown objects, bad values, errors
+ *   raised by procedures) keep the SQL Server message; all others get a fixed message so
+ *   server names, logins and internals are not exposed. The original error is logged.
+ */
+
+// SQL Server error number -> mapping; expose keeps the SQL Server message
+const SQL_ERRORS = new Map();
+
+/**
+ * Register SQL Server error numbers
+ * @param {number[]} numbers
+ * @param {Object} mapping - { status, code, retryable, expose }
+ */
+function mapNumbers(numbers, mapping) {
+  for (const number of numbers) {
+    SQL_ERRORS.set(number, mapping);
+  }
+}
+
+mapNumbers([102, 105, 156, 170, 319, 1038], { status: 400, code: 'syntax_error', retryable: false, expose: true });
+mapNumbers([207, 4104], { status: 400, code: 'invalid_column', retryable: false, expose: true });
+mapNumbers([137, 201, 8144, 8145], { status: 400, code: 'invalid_parameters', retryable: false, expose: true });
+mapNumbers([220, 232, 241, 242, 245, 295, 8114, 8115, 8134], { status: 400, code: 'data_error', retryable: false, expose: true });
+mapNumbers([208, 2812], { status: 404, code: 'object_not_found', retryable: false, expose: true });
+mapNumbers([229, 230, 262, 297, 300, 916], { status: 403, code: 'permission_denied', retryable: false, expose: false });
+mapNumbers([1222], { status: 408, code: 'lock_timeout', retryable: true, expose: false });
+mapNumbers([1205], { status: 409, code: 'deadlock', retryable: true, expose: false });
+mapNumbers([3960], { status: 409, code: 'update_conflict', retryable: true, expose: false });
+mapNumbers([515, 547, 2601, 2627], { status: 409, code: 'constraint_violation', retryable: false, expose: true });
+mapNumbers([4060, 18456], { status: 503, code: 'database_unavailable', retryable: false, expose: false });
+mapNumbers([233, 10053, 10054, 10060, 40197, 40501, 40613, 49918, 49919, 49920, 10928, 10929, 4221], { status: 503, code: 'database_unavailable', retryable: true, expose: false });
+mapNumbers([701, 802, 8645, 8651], { status: 503, code: 'insufficient_resources', retryable: true, expose: false });
+
+// Messages raised with RAISERROR/THROW use numbers from 50000
+const USER_ERROR = { status: 400, code: 'procedure_error', retryable: false, expose: true };
+
+// Driver error codes (https://github.com/tediousjs/node-mssql#errors)
+const REQUEST_CODES = {
+  ETIMEOUT: { status: 408, code: 'query_timeout', retryable: true },
+  ECANCEL: { status: 408, code: 'query_cancelled', retryable: false },
+  ECONNCLOSED: { status: 503, code: 'database_unavailable', retryable: true },
+  ENOCONN: { status: 503, code: 'database_unavailable', retryable: true }
+};
+const CONNECTION_CODES = {
+  ETIMEOUT: { status: 503, code: 'connection_timeout', retryable: true },
+  ELOGIN: { status: 503, code: 'database_unavailable', retryable: false }
+};
+const CONNECTION_ERROR = { status: 503, code: 'database_unavailable', retryable: true };
+const INTERNAL_ERROR = { status: 500, code: 'internal_error', retryable: false };
+
+const MESSAGES = {
+  permission_denied: 'The gateway database login lacks permission for this operation',
+  lock_timeout: 'Timed out waiting for a database lock',
+  deadlock: 'The request was chosen as a deadlock victim',
+  update_conflict: 'The request conflicted with a concurrent update',
+  database_unavailable: 'The database is unavailable',
+  insufficient_resources: 'The database server is out of resources',
+  query_timeout: 'The query exceeded its time limit',
+  query_cancelled: 'The query was cancelled',
+  connection_timeout: 'Timed out connecting to the database',
+  internal_error: 'An unexpected error occurred'
+};
+
+// Default codes of gateway errors that only carry a status
+const STATUS_CODES = {
+  400: 'invalid_request',
+  403: 'forbidden',
+  404: 'not_found',
+  408: 'timeout',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'limit_exceeded',
+  503: 'unavailable'
+};
+
+/**
+ * Create an error raised by the gateway itself
+ * @param {number} statusCode - HTTP status
+ * @param {string} code - Stable error code
+ * @param {string} message - Message returned to the caller
+ * @param {Object} [details] - Extra response fields (e.g. position of a rejected token)
+ * @returns {Error}
+ */
+function gatewayError(statusCode, code, message, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Get the SQL Server error number of a driver error
+ * @param {Error} error
+ * @returns {number|null}
+ */
+function sqlErrorNumber(error) {
+  if (typeof error.number === 'number') return error.number;
+  if (error.originalError && typeof error.originalError.number === 'number') return error.originalError.number;
+  return null;
+}
+
+/**
+ * Map an error to its response
+ * @param {Error} error
+ * @returns {{status: number, code: string, message: string, retryable: boolean, number: number|null}}
+ */
+function mapError(error) {
+  if (error && error.statusCode) {
+    return {
+      status: error.statusCode,
+      code: typeof error.code === 'string' ? error.code : STATUS_CODES[error.statusCode] || 'error',
+      message: error.message,
+      retryable: error.statusCode === 429 || error.statusCode === 503,
+      number: null
+    };
+  }
+
+  const number = error ? sqlErrorNumber(error) : null;
+  let mapping = INTERNAL_ERROR;
+  if (number !== null && (SQL_ERRORS.has(number) || number >= 50000)) {
+    mapping = SQL_ERRORS.get(number) || USER_ERROR;
+  } else if (error && error.name === 'ConnectionError') {
+    mapping = CONNECTION_CODES[error.code] || CONNECTION_ERROR;
+  } else if (error && error.name === 'RequestError' && REQUEST_CODES[error.code]) {
+    mapping = REQUEST_CODES[error.code];
+  }
+
+  let message = MESSAGES[mapping.code];
+  if (mapping.expose || (mapping === INTERNAL_ERROR && process.env.NODE_ENV === 'development')) {
+    message = error.message;
+  }
+
+  return { status: mapping.status, code: mapping.code, message, retryable: mapping.retryable, number };
+}
+
+/**
+ * Send the mapped response of an error
+ * Details of gateway errors are added to the body. Server-side failures are logged with the original error and return the request id so
+ * callers can refer to the log entry.
+ * @param {Object} res - Express response
+ * @param {Error} error
+ */
+function sendError(res, error) {
+  const mapped = mapError(error);
+  setAuditContext(res, { errorCode: mapped.code, sqlErrorNumber: mapped.number ?? undefined });
+
+  const body = { error: mapped.message, code: mapped.code, retryable: mapped.retryable, ...(error && error.statusCode && error.details) };
+  if (mapped.status >= 500) {
+    const requestId = res.req && res.req.id;
+    logger.error('request failed', { requestId, code: mapped.code, error: logger.serializeError(error) });
+    body.requestId = requestId;
+  }
+
+  res.status(mapped.status).json(body);
+}
+
+module.exports = {
+  gatewayError,
+  mapError,
+  sendError
+};
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+/**
+ * API key registry
+ * Keys are loaded from the JSON/YAML file named by API_KEYS_FILE. Each entry stores
+ * only the SHA-256 hash of the key together with its scopes:
+ *
+ *   keys:
+ *     - id: reporting
+ *       hash: sha256:<hex digest of the key>
+ *       enabled: true
+ *       databases: [Common]
+ *       tables: { allow: ['Order*'], deny: ['OrderAudit', 'audit.*'] }  # patterns match name or schema.name
+ *       procedures: { deny: ['*'] }
+ *       writeProcedures: false  # may execute procedures classified as write by the procedure policy
+ *       savedQueriesOnly: false # true denies ad-hoc SQL (query, explain, export, jobs),
+ *                               # table data and procedure execution
+ *       savedQueries: { allow: ['sales-*'] }  # saved queries the key may run
+ *       admin: false          # admin keys may use the audit and maintenance routes
+ *       limits: { requestsPerMinute: 60, maxConcurrent: 2, dailyRows: 500000 }
+ *
+ * Without API_KEYS_FILE the single API_KEY from the environment is registered as an
+ * admin key with access to every allowed database.
+ */
+
+/**
+ * Hash an API key for storage/comparison
+ * @param {string} key - Plain API key
+ * @returns {Buffer} SHA-256 digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key, 'utf8').digest();
+}
+
+/**
+ * Convert a wildcard pattern (e.g. "Order*") into a case-insensitive RegExp
+ * @param {string} pattern - Pattern where * matches any sequence of characters
+ * @returns {RegExp}
+ */
+function patternToRegex(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Normalize an allow/deny scope definition
+ * @param {Object} [scope] - { allow?: string[], deny?: string[] }
+ * @param {string} label - Scope label used in error messages
+ * @returns {{allow: RegExp[]|null, deny: RegExp[]}}
+ */
+function normalizeScope(scope, label) {
+  if (scope === undefined || scope === null) {
+    return { allow: null, deny: [] };
+  }
+  if (typeof scope !== 'object' || Array.isArray(scope)) {
+    throw new Error(`${label} must be an object with optional allow/deny lists`);
+  }
+
+  const toPatterns = (list, name) => {
+    if (list === undefined) return null;
+    if (!Array.isArray(list)) {
+      throw new Error(`${label}.${name} must be an array`);
+    }
+    return list.map(patternToRegex);
+  };
+
+  return {
+    allow: toPatterns(scope.allow, 'allow'),
+    deny: toPatterns(scope.deny, 'deny') || []
+  };
+}
+
+/**
+ * Normalize a single registry entry
+ * @param {Object} entry - Raw entry from the registry file
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {Object} Normalized key entry
+ */
+function normalizeEntry(entry, index) {
+  const label = `API key #${index + 1}`;
+
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (!entry.id || typeof entry.id !== 'string') {
+    throw new Error(`${label} requires an id`);
+  }
+
+  const match = typeof entry.hash === 'string' && entry.hash.match(/^(?:sha256:)?([0-9a-f]{64})$/i);
+  if (!match) {
+    throw new Error(`API key '${entry.id}' requires a hash in the form sha256:<64 hex chars>`);
+  }
+
+  const databases = entry.databases === undefined ? ['*'] : entry.databases;
+  if (!Array.isArray(databases)) {
+    throw new Error(`API key '${entry.id}' databases must be an array`);
+  }
+
+  const limits = {};
+  if (entry.limits !== undefined) {
+    if (!entry.limits || typeof entry.limits !== 'object') {
+      throw new Error(`API key '${entry.id}' limits must be an object`);
+    }
+    for (const name of ['requestsPerMinute', 'maxConcurrent', 'dailyRows']) {
+      if (entry.limits[name] === undefined) continue;
+      if (!Number.isInteger(entry.limits[name]) || entry.limits[name] < 0) {
+        throw new Error(`API key '${entry.id}' limits.${name} must be a non-negative integer`);
+      }
+      limits[name] = entry.limits[name];
+    }
+  }
+
+  return {
+    id: entry.id,
+    hash: Buffer.from(match[1], 'hex'),
+    enabled: entry.enabled !== false,
+    admin: entry.admin === true,
+    writeProcedures: entry.writeProcedures === true,
+    savedQueriesOnly: entry.savedQueriesOnly === true,
+    limits,
+    databases: databases.map(patternToRegex),
+    tables: normalizeScope(entry.tables, `API key '${entry.id}' tables`),
+    procedures: normalizeScope(entry.procedures, `API key '${entry.id}' procedures`),
+    savedQueries: normalizeScope(entry.savedQueries, `API key '${entry.id}' savedQueries`)
+  };
+}
+
+/**
+ * Load the registry file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Array<Object>} Normalized key entries
+ */
+function loadRegistryFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const data = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+  const entries = Array.isArray(data) ? data : data && data.keys;
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`API key registry '${filePath}' must contain a "keys" array`);
+  }
+
+  const keys = entries.map(normalizeEntry);
+  const ids = new Set();
+  for (const key of keys) {
+    if (ids.has(key.id)) {
+      throw new Error(`Duplicate API key id '${key.id}' in '${filePath}'`);
+    }
+    ids.add(key.id);
+  }
+
+  return keys;
+}
+
+/**
+ * Build the registry from the environment
+ * @returns {Array<Object>}
+ */
+function loadRegistry() {
+  if (process.env.API_KEYS_FILE) {
+    return loadRegistryFile(path.resolve(process.env.API_KEYS_FILE));
+  }
+
+  if (process.env.API_KEY) {
+    return [normalizeEntry({
+      id: 'default',
+      hash: hashKey(process.env.API_KEY).toString('hex'),
+      admin: true
+    }, 0)];
+  }
+
+  return [];
+}
+
+const registry = loadRegistry();
+
+/**
+ * Find the registry entry for a presented API key
+ * Every entry is compared in constant time so the lookup does not leak which key matched.
+ * @param {string} apiKey - Key from the X-API-Key header
+ * @returns {Object|null} Matching key entry (enabled or not), or null
+ */
+function findKey(apiKey) {
+  const presented = hashKey(apiKey);
+  let found = null;
+
+  for (const entry of registry) {
+    if (crypto.timingSafeEqual(presented, entry.hash) && !found) {
+      found = entry;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Test a pattern against an object name
+ * Schema-qualified names (schema.name) also match patterns written for the bare name,
+ * so both "Order*" and "sales.Order*" apply to sales.Orders.
+ * @param {RegExp} pattern - Pattern from patternToRegex
+ * @param {string} name - Object name, optionally schema-qualified
+ * @returns {boolean}
+ */
+function matchesName(pattern, name) {
+  if (pattern.test(name)) {
+    return true;
+  }
+  const dot = name.indexOf('.');
+  return dot !== -1 && pattern.test(name.slice(dot + 1));
+}
+
+/**
+ * Check a name against an allow/deny scope
+ * @param {{allow: RegExp[]|null, deny: RegExp[]}} scope
+ * @param {string} name - Object name, optionally schema-qualified
+ * @returns {boolean}
+ */
+function isInScope(scope, name) {
+  if (scope.deny.some(pattern => matchesName(pattern, name))) {
+    return false;
+  }
+  return scope.allow === null || scope.allow.some(pattern => matchesName(pattern, name));
+}
+
+/**
+ * Check whether an API key may access a database
+ * @param {Object} key - Key entry attached to the request (req.apiKey)
+ * @param {string} database - Database name
+ * @returns {{allowed: boolean, error?: string}}
+ */
+function checkDatabaseAccess(key, database) {
+  if (!key || !key.databases.some(pattern => pattern.test(database))) {
+    return { allowed: false, error: `API key is not allowed to access database '${database}'` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check whether an API key may access a table
+ * @param {Object} key - Key entry attached to the request (req.apiKey)
+ * @param {string} table - Table name (schema.name)
+ * @returns {{allowed: boolean, error?: string}}
+ */
+function checkTableAccess(key, table) {
+  if (!key || !isInScope(key.tables, table)) {
+    return { allowed: false, error: `API key is not allowed to access table '${table}'` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check whether an API key may access a stored procedure
+ * @param {Object} key - Key entry attached to the request (req.apiKey)
+ * @param {string} procedure - Stored procedure name (schema.name)
+ * @returns {{allowed: boolean, error?: string}}
+ */
+function checkProcedureAccess(key, procedure) {
+  if (!key || !isInScope(key.procedures, procedure)) {
+    return { allowed: false, error: `API key is not allowed to access stored procedure '${procedure}'` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check whether an API key may run a saved query
+ * @param {Object} key - Key entry attached to the request (req.apiKey)
+ * @param {string} name - Saved query name
+ * @returns {{allowed: boolean, error?: string}}
+ */
+function checkSavedQueryAccess(key, name) {
+  if (!key || !isInScope(key.savedQueries, name)) {
+    return { allowed: false, error: `API key is not allowed to run saved query '${name}'` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check whether an API key may run ad-hoc SQL (query, explain, export and job routes),
+ * read table data or execute stored procedures
+ * @param {Object} key - Key entry attached to the request (req.apiKey)
+ * @returns {{allowed: boolean, error?: string}}
+ */
+function checkAdHocQueryAccess(key) {
+  if (!key || key.savedQueriesOnly) {
+    return { allowed: false, error: 'API key is restricted to saved queries' };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check whether an API key may use administrative routes (audit, maintenance)
+ * @param {Object} key - Key entry attached to the request (req.apiKey)
+ * @returns {{allowed: boolean, error?: string}}
+ */
+function checkAdminAccess(key) {
+  if (!key || !key.admin) {
+    return { allowed: false, error: 'This route requires an admin API key' };
+  }
+  return { allowed: true };
+}
+
+module.exports = {
+  findKey,
+  hashKey,
+  patternToRegex,
+  matchesName,
+  checkDatabaseAccess,
+  checkTableAccess,
+  checkProcedureAccess,
+  checkSavedQueryAccess,
+  checkAdHocQueryAccess,
+  checkAdminAccess
+};
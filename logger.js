@@ -0,0 +1,86 @@
+const { tokenize } = require('./sql-lexer');
+
+/**
+ * Structured logger
+ * Writes one JSON object per line to stdout (stderr for errors):
+ * { timestamp, level, message, ...fields }. Entries below LOG_LEVEL are dropped.
+ *
+ * LOG_SQL controls how SQL text appears in log entries:
+ *   none     - SQL text is omitted (default)
+ *   redacted - string, number and binary literals are replaced with ?
+ *   full     - SQL text is logged as executed
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+const LOG_SQL = ['none', 'redacted', 'full'].includes(process.env.LOG_SQL) ? process.env.LOG_SQL : 'none';
+
+/**
+ * Write a log entry
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message
+ * @param {Object} [fields] - Additional fields (undefined values are omitted)
+ */
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+
+  const entry = JSON.stringify({ timestamp: new Date().toISOString(), level, message, ...fields });
+  if (level === 'error') {
+    process.stderr.write(`${entry}\n`);
+  } else {
+    process.stdout.write(`${entry}\n`);
+  }
+}
+
+/**
+ * Replace the literals of a SQL text with ?
+ * Text the lexer cannot read is dropped entirely rather than logged unredacted.
+ * @param {string} sql
+ * @returns {string|null}
+ */
+function redactLiterals(sql) {
+  try {
+    return tokenize(sql)
+      .map(token => (['string', 'number', 'binary'].includes(token.type) ? '?' : token.value))
+      .join('');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Prepare SQL text for a log entry according to LOG_SQL
+ * @param {string} [sql]
+ * @returns {string|undefined} undefined when SQL text is not logged
+ */
+function formatSql(sql) {
+  if (typeof sql !== 'string' || LOG_SQL === 'none') return undefined;
+  if (LOG_SQL === 'full') return sql;
+  return redactLiterals(sql) ?? undefined;
+}
+
+/**
+ * Describe an error for a log entry
+ * @param {Error} error
+ * @returns {{message: string, code?: string, number?: number, stack?: string}}
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+  return {
+    message: error.message,
+    code: error.code,
+    number: error.number,
+    stack: error.stack
+  };
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  formatSql,
+  serializeError
+};
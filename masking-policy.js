@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { patternToRegex, matchesName } = require('./key-registry');
+const { analyzeProjection } = require('./middleware/validator');
+
+/**
+ * Column masking policy
+ * Loaded from the JSON/YAML file named by MASKING_POLICY_FILE. Each database lists rules
+ * matching result columns by name (wildcards allowed), optionally limited to tables the
+ * result is read from. The first matching rule of a column wins.
+ *
+ *   databases:
+ *     Member:
+ *       - { column: '*Phone*', action: partial, keepEnd: 4 }
+ *       - { column: '*Email*', action: hash }
+ *       - { table: 'dbo.Members', column: BirthDate, action: 'null' }
+ *       - { table: Members, column: SSN, action: drop }
+ *
+ * Rules are applied by result column name after execution. Free-form queries reading a
+ * table with rules are checked first (checkQueryMasking) so masked columns keep their own
+ * names: aliases, expressions and column lists over them are rejected. Procedure result
+ * sets have no known source tables and every rule of the database applies to them.
+ */
+
+const ACTIONS = ['drop', 'null', 'hash', 'partial'];
+
+/**
+ * Normalize one masking rule
+ * @param {Object} rule - { table?, column, action, keepStart?, keepEnd?, maskChar? }
+ * @param {string} label - Rule label used in error messages
+ * @returns {Object}
+ */
+function normalizeRule(rule, label) {
+  if (!rule || typeof rule !== 'object' || typeof rule.column !== 'string' || !rule.column) {
+    throw new Error(`${label} requires a column name or pattern`);
+  }
+  if (!ACTIONS.includes(rule.action)) {
+    throw new Error(`${label} action must be one of: ${ACTIONS.join(', ')}`);
+  }
+  if (rule.table !== undefined && (typeof rule.table !== 'string' || !rule.table)) {
+    throw new Error(`${label} table must be a table name or pattern`);
+  }
+
+  const normalized = {
+    table: rule.table ? patternToRegex(rule.table) : null,
+    column: patternToRegex(rule.column),
+    action: rule.action
+  };
+
+  if (rule.action === 'partial') {
+    const keepStart = rule.keepStart === undefined ? 0 : rule.keepStart;
+    const keepEnd = rule.keepEnd === undefined ? 4 : rule.keepEnd;
+    const maskChar = rule.maskChar === undefined ? '*' : rule.maskChar;
+    if (!Number.isInteger(keepStart) || keepStart < 0 || !Number.isInteger(keepEnd) || keepEnd < 0) {
+      throw new Error(`${label} keepStart and keepEnd must be non-negative integers`);
+    }
+    if (typeof maskChar !== 'string' || maskChar.length !== 1) {
+      throw new Error(`${label} maskChar must be a single character`);
+    }
+    Object.assign(normalized, { keepStart, keepEnd, maskChar });
+  }
+
+  return normalized;
+}
+
+/**
+ * Load the policy file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {{hashKey: string|null, databases: Array<{database: RegExp, rules: Array<Object>}>}}
+ */
+function loadPolicyFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const data = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+
+  if (!data || typeof data.databases !== 'object' || Array.isArray(data.databases)) {
+    throw new Error(`Masking policy '${filePath}' must contain a "databases" object`);
+  }
+
+  return {
+    hashKey: typeof data.hashKey === 'string' ? data.hashKey : null,
+    databases: Object.entries(data.databases).map(([database, rules]) => {
+      if (!Array.isArray(rules)) {
+        throw new Error(`Masking policy for database '${database}' must be an array of rules`);
+      }
+      return {
+        database: patternToRegex(database),
+        rules: rules.map((rule, index) => normalizeRule(rule, `Masking rule #${index + 1} of '${database}'`))
+      };
+    })
+  };
+}
+
+const policy = process.env.MASKING_POLICY_FILE
+  ? loadPolicyFile(path.resolve(process.env.MASKING_POLICY_FILE))
+  : { hashKey: null, databases: [] };
+
+// Hashes are keyed so that short values (phone numbers, ids) cannot be looked up
+const HASH_KEY = process.env.MASKING_HASH_KEY || policy.hashKey;
+
+/**
+ * Find the masking rule for a result column
+ * @param {string} database - Database name
+ * @param {string[]|null} sourceTables - Tables the result is read from (schema.name), or null if unknown
+ * @param {string} column - Result column name
+ * @returns {Object|null} Matching rule, or null when the column is returned as is
+ */
+function findRule(database, sourceTables, column) {
+  for (const entry of policy.databases) {
+    if (!entry.database.test(database)) continue;
+    const rule = entry.rules.find(candidate =>
+      candidate.column.test(column) &&
+      (!candidate.table || sourceTables === null || sourceTables.some(table => matchesName(candidate.table, table)))
+    );
+    if (rule) return rule;
+  }
+  return null;
+}
+
+/**
+ * Plan the masking of a result set
+ * @param {string} database - Database name
+ * @param {string[]|null} sourceTables - Tables the result is read from (schema.name), or null if unknown
+ * @param {string[]} columns - Result column names
+ * @returns {Array<{column: string, rule: Object}>} Masked columns in result order
+ */
+function planMasking(database, sourceTables, columns) {
+  const plan = [];
+  for (const column of columns) {
+    const rule = findRule(database, sourceTables, column);
+    if (rule) plan.push({ column, rule });
+  }
+  return plan;
+}
+
+/**
+ * Mask a single value
+ * @param {Object} rule - Masking rule (hash or partial)
+ * @param {*} value - Column value
+ * @returns {string|null}
+ */
+function maskValue(rule, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const text = value instanceof Date ? value.toISOString() : Buffer.isBuffer(value) ? value.toString('base64') : String(value);
+
+  if (rule.action === 'hash') {
+    const hash = HASH_KEY ? crypto.createHmac('sha256', HASH_KEY) : crypto.createHash('sha256');
+    return hash.update(text).digest('hex');
+  }
+
+  // partial: keep the first keepStart and last keepEnd characters; short values are masked entirely
+  const characters = [...text];
+  if (characters.length <= rule.keepStart + rule.keepEnd) {
+    return rule.maskChar.repeat(characters.length);
+  }
+  return characters.slice(0, rule.keepStart).join('') +
+    rule.maskChar.repeat(characters.length - rule.keepStart - rule.keepEnd) +
+    characters.slice(characters.length - rule.keepEnd).join('');
+}
+
+/**
+ * Apply a masking plan to a row
+ * @param {Array<{column: string, rule: Object}>} plan - Result of planMasking
+ * @param {Object} row - Result row
+ * @returns {Object} Masked copy of the row (the row itself when the plan is empty)
+ */
+function applyMasking(plan, row) {
+  if (plan.length === 0) {
+    return row;
+  }
+
+  const masked = { ...row };
+  for (const { column, rule } of plan) {
+    if (rule.action === 'drop') {
+      delete masked[column];
+    } else if (rule.action === 'null') {
+      masked[column] = null;
+    } else {
+      masked[column] = maskValue(rule, masked[column]);
+    }
+  }
+  return masked;
+}
+
+/**
+ * Describe a masking plan for response metadata
+ * @param {Array<{column: string, rule: Object}>} plan - Result of planMasking
+ * @returns {Array<{column: string, action: string}>}
+ */
+function describeMasking(plan) {
+  return plan.map(({ column, rule }) => ({ column, action: rule.action }));
+}
+
+/**
+ * Mask every row of a result set
+ * @param {string} database - Database name
+ * @param {string[]|null} sourceTables - Tables the result is read from (schema.name), or null if unknown
+ * @param {Array<Object>} rows - Result rows
+ * @param {string[]} [columns] - Result column names (defaults to the keys of the first row)
+ * @returns {{rows: Array<Object>, masking: Array<{column: string, action: string}>}}
+ */
+function maskRows(database, sourceTables, rows, columns) {
+  const plan = planMasking(database, sourceTables, columns || (rows.length > 0 ? Object.keys(rows[0]) : []));
+  return {
+    rows: plan.length === 0 ? rows : rows.map(row => applyMasking(plan, row)),
+    masking: describeMasking(plan)
+  };
+}
+
+/**
+ * Check whether a column of a table is masked
+ * @param {string} database - Database name
+ * @param {string} table - Table name (schema.name)
+ * @param {string} column - Column name
+ * @returns {boolean}
+ */
+function isMaskedColumn(database, table, column) {
+  return findRule(database, [table], column) !== null;
+}
+
+/**
+ * Check that a free-form query returns masked columns under their own names only
+ * Rejects, for queries reading a table with masking rules: masked columns that are aliased,
+ * used in expressions or renamed by a set operation, column list or VALUES row; masked
+ * columns used anywhere outside the select list (WHERE, JOIN ON, GROUP BY, HAVING, ORDER BY),
+ * where they would reveal values through filtering or ordering; * expanded under other
+ * names; and FOR JSON, FOR XML, PIVOT and UNPIVOT.
+ * @param {string} database - Database name
+ * @param {string[]} sourceTables - Tables the query reads (schema.name)
+ * @param {string} query - SQL query (already validated)
+ * @returns {{allowed: boolean, error?: string}}
+ */
+function checkQueryMasking(database, sourceTables, query) {
+  const hasRules = policy.databases.some(entry => entry.database.test(database) &&
+    entry.rules.some(rule => !rule.table || sourceTables.some(table => matchesName(rule.table, table))));
+  if (!hasRules) {
+    return { allowed: true };
+  }
+
+  const { items, constructs, names } = analyzeProjection(query);
+  if (constructs.length > 0) {
+    return { allowed: false, error: `${constructs[0]} is not allowed in queries reading tables with masked columns` };
+  }
+
+  // Tokens of select list items returning a masked column under its own name
+  const projected = new Set();
+  for (const item of items) {
+    if (item.star && item.renamed) {
+      return { allowed: false, error: 'SELECT * cannot be renamed by set operations or column lists in queries reading tables with masked columns' };
+    }
+
+    const masked = item.references.find(name => findRule(database, sourceTables, name) !== null);
+    if (!masked) continue;
+
+    const ownName = item.column && !item.renamed && (!item.alias || item.alias.toLowerCase() === item.column.toLowerCase());
+    if (!ownName) {
+      return { allowed: false, error: `Column '${masked}' is masked and can only be selected under its own name (no alias, expression or column list)` };
+    }
+    item.tokens.forEach(token => projected.add(token));
+  }
+
+  const filtered = names.find(({ name, token }) => !projected.has(token) && findRule(database, sourceTables, name) !== null);
+  if (filtered) {
+    return { allowed: false, error: `Column '${filtered.name}' is masked and cannot be used in WHERE, JOIN, GROUP BY, HAVING or ORDER BY` };
+  }
+
+  return { allowed: true };
+}
+
+module.exports = {
+  planMasking,
+  applyMasking,
+  describeMasking,
+  maskRows,
+  isMaskedColumn,
+  checkQueryMasking
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+/**
+ * In-process TTL cache for metadata routes (tables, schemas, stored procedures)
+ * Entries are keyed by database and object; METADATA_CACHE_TTL (seconds, 0 disables)
+ * controls freshness and METADATA_CACHE_MAX_ENTRIES bounds the size.
+ */
+
+const TTL_MS = parseInt(process.env.METADATA_CACHE_TTL || '300') * 1000;
+const MAX_ENTRIES = parseInt(process.env.METADATA_CACHE_MAX_ENTRIES || '1000');
+
+// "<database>:<key>" -> { promise, expires }
+const entries = new Map();
+
+/**
+ * Build the cache key for a database object
+ * @param {string} database - Database name
+ * @param {string} key - Object key within the database (e.g. "schema:Orders")
+ * @returns {string}
+ */
+function cacheKey(database, key) {
+  return `${database.toLowerCase()}:${key.toLowerCase()}`;
+}
+
+/**
+ * Get a cached value or load it
+ * Concurrent misses for the same key share one load; failed loads are not cached.
+ * @param {string} database - Database name
+ * @param {string} key - Object key within the database
+ * @param {() => Promise<*>} loader - Loads the value on a miss
+ * @returns {Promise<{value: *, cacheStatus: string}>} cacheStatus is HIT, MISS or BYPASS
+ */
+async function getOrLoad(database, key, loader) {
+  if (TTL_MS <= 0) {
+    return { value: await loader(), cacheStatus: 'BYPASS' };
+  }
+
+  const id = cacheKey(database, key);
+  const entry = entries.get(id);
+  if (entry && entry.expires > Date.now()) {
+    return { value: await entry.promise, cacheStatus: 'HIT' };
+  }
+
+  const promise = loader();
+  entries.delete(id);
+  entries.set(id, { promise, expires: Date.now() + TTL_MS });
+
+  // Evict the oldest entries (Map keeps insertion order)
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+
+  try {
+    return { value: await promise, cacheStatus: 'MISS' };
+  } catch (error) {
+    if (entries.get(id) && entries.get(id).promise === promise) {
+      entries.delete(id);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove every cached entry of a database
+ * @param {string} database - Database name
+ * @returns {number} Number of entries removed
+ */
+function invalidate(database) {
+  const prefix = `${database.toLowerCase()}:`;
+  let removed = 0;
+  for (const id of [...entries.keys()]) {
+    if (id.startsWith(prefix)) {
+      entries.delete(id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Send a JSON body with ETag and cache status headers
+ * Responds 304 when If-None-Match matches the body's ETag.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} cacheStatus - HIT, MISS or BYPASS
+ * @param {Object} body - Response body
+ */
+function sendCached(req, res, cacheStatus, body) {
+  const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+
+  res.setHeader('ETag', etag);
+  res.setHeader('X-Cache', cacheStatus);
+  res.setHeader('Cache-Control', 'private, no-cache');
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag)) {
+    return res.status(304).end();
+  }
+
+  res.json(body);
+}
+
+module.exports = {
+  getOrLoad,
+  invalidate,
+  sendCached
+};
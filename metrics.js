@@ -0,0 +1,255 @@
+/**
+ * Prometheus metrics
+ * A minimal in-process registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format by GET /metrics.
+ */
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// name -> metric, in registration order
+const registry = new Map();
+
+/**
+ * Build the series key of a label set
+ * @param {string[]} labelNames
+ * @param {Object} labels
+ * @returns {string}
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+/**
+ * Format a label set ({a="1",b="2"})
+ * @param {string[]} labelNames
+ * @param {string[]} values
+ * @param {Object} [extra] - Additional labels (e.g. le)
+ * @returns {string}
+ */
+function formatLabels(labelNames, values, extra = {}) {
+  const pairs = labelNames.map((name, index) => [name, values[index]]).concat(Object.entries(extra));
+  if (pairs.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Register a metric
+ * @param {string} type - counter, gauge or histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {string[]} labelNames
+ * @param {Object} [extra] - Type-specific settings (buckets)
+ * @returns {Object} The metric
+ */
+function register(type, name, help, labelNames, extra = {}) {
+  const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+  registry.set(name, metric);
+  return metric;
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name (ending in _total)
+ * @param {string} help - Help text
+ * @param {string[]} [labelNames]
+ * @returns {{inc: (labels?: Object, value?: number) => void}}
+ */
+function counter(name, help, labelNames = []) {
+  const metric = register('counter', name, help, labelNames);
+  return {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      metric.series.set(key, (metric.series.get(key) || 0) + value);
+    }
+  };
+}
+
+/**
+ * Create a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {string[]} [labelNames]
+ * @returns {{set: (labels: Object, value: number) => void, reset: () => void}}
+ */
+function gauge(name, help, labelNames = []) {
+  const metric = register('gauge', name, help, labelNames);
+  return {
+    set(labels, value) {
+      metric.series.set(seriesKey(labelNames, labels), value);
+    },
+    reset() {
+      metric.series.clear();
+    }
+  };
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets] - Upper bounds in ascending order
+ * @returns {{observe: (labels: Object, value: number) => void}}
+ */
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const metric = register('histogram', name, help, labelNames, { buckets });
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let series = metric.series.get(key);
+      if (!series) {
+        series = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        metric.series.set(key, series);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index]++;
+      });
+      series.sum += value;
+      series.count++;
+    }
+  };
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string}
+ */
+function renderMetrics() {
+  const lines = [];
+
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const [key, value] of metric.series) {
+      const values = JSON.parse(key);
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, values)} ${formatValue(value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, { le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, { le: '+Inf' })} ${value.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, values)} ${formatValue(value.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, values)} ${value.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Gateway metrics
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpRequestDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route and status', ['method', 'route', 'status']);
+const queryDuration = histogram('db_query_duration_seconds', 'SQL Server request duration by database and kind', ['database', 'kind']);
+const queryRows = counter('db_query_rows_total', 'Rows returned by SQL Server by database and kind', ['database', 'kind']);
+const queryErrors = counter('db_query_errors_total', 'Failed SQL Server requests by database and kind', ['database', 'kind']);
+const validatorRejections = counter('validator_rejections_total', 'Queries rejected by the validator by reason', ['reason']);
+const authFailures = counter('auth_failures_total', 'Rejected API keys by reason', ['reason']);
+const poolConnections = gauge('db_pool_connections', 'Connection pool size by database, pool and state (size, in_use, available, pending)', ['database', 'pool', 'state']);
+
+/**
+ * Route label of a request: the matched Express path, or "unmatched"
+ * For routes registered with several paths the one whose parameters match is used.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function routeLabel(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  const paths = Array.isArray(req.route.path) ? req.route.path : [req.route.path];
+  const params = Object.keys(req.params || {}).sort().join(',');
+  const path = paths.find(candidate =>
+    (String(candidate).match(/:(\w+)/g) || []).map(param => param.slice(1)).sort().join(',') === params
+  ) || paths[0];
+
+  return `${req.baseUrl || ''}${path}`;
+}
+
+/**
+ * Express middleware recording request counts and latency
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next
+ */
+function metricsMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+}
+
+/**
+ * Record a SQL Server request
+ * @param {string} database - Database name
+ * @param {string} kind - query, procedure, plan, export or job
+ * @param {number} seconds - Duration
+ * @param {number|null} rows - Rows returned (null when the request failed)
+ */
+function recordQuery(database, kind, seconds, rows) {
+  const labels = { database: database.toLowerCase(), kind };
+  queryDuration.observe(labels, seconds);
+  if (rows === null) {
+    queryErrors.inc(labels);
+  } else {
+    queryRows.inc(labels, rows);
+  }
+}
+
+/**
+ * Record a validator rejection
+ * @param {string} reason - Stable reason code
+ */
+function recordValidatorRejection(reason) {
+  validatorRejections.inc({ reason });
+}
+
+/**
+ * Record a rejected API key
+ * @param {string} reason - missing_key, invalid_key or disabled_key
+ */
+function recordAuthFailure(reason) {
+  authFailures.inc({ reason });
+}
+
+/**
+ * Replace the connection pool gauges
+ * @param {Array<{database: string, pool: string, size: number, borrowed: number, available: number, pending: number}>} stats
+ */
+function setPoolStats(stats) {
+  poolConnections.reset();
+  for (const { database, pool, size, borrowed, available, pending } of stats) {
+    poolConnections.set({ database, pool, state: 'size' }, size);
+    poolConnections.set({ database, pool, state: 'in_use' }, borrowed);
+    poolConnections.set({ database, pool, state: 'available' }, available);
+    poolConnections.set({ database, pool, state: 'pending' }, pending);
+  }
+}
+
+module.exports = {
+  metricsMiddleware,
+  recordQuery,
+  recordValidatorRejection,
+  recordAuthFailure,
+  setPoolStats,
+  renderMetrics
+};
@@ -0,0 +1,45 @@
+const { record } = require('../audit-log');
+
+/**
+ * Audit middleware
+ * Records every authenticated API request when its response completes: key id,
+ * client IP, route, status, duration and the details routes attach through
+ * setAuditContext (database, final SQL text or procedure, parameter names, row count).
+ */
+module.exports = (req, res, next) => {
+  const startTime = process.hrtime.bigint();
+  res.locals.audit = res.locals.audit || {};
+
+  // Capture the error message of failed requests
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && body.error) {
+      res.locals.audit.error = body.message || body.error;
+    }
+    return json(body);
+  };
+
+  res.on('close', () => {
+    let outcome = 'success';
+    if (!res.writableFinished) {
+      outcome = 'aborted';
+    } else if (res.statusCode >= 500) {
+      outcome = 'error';
+    } else if (res.statusCode >= 400) {
+      outcome = 'rejected';
+    }
+
+    record({
+      keyId: req.apiKey ? req.apiKey.id : null,
+      clientIp: req.ip,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      outcome,
+      durationMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+      ...res.locals.audit
+    });
+  });
+
+  next();
+};
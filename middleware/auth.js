@@ -1,23 +1,36 @@
+const { findKey } = require('../key-registry');
+const { recordAuthFailure } = require('../metrics');
+
 /**
  * API Key authentication middleware
- * Validates X-API-Key header against configured API_KEY
+ * Validates X-API-Key header against the key registry and attaches the
+ * matching key (id and scopes) to req.apiKey
  */
 module.exports = (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
 
   if (!apiKey) {
+    recordAuthFailure('missing_key');
     return res.status(401).json({
       error: 'Unauthorized',
-      message: 'Missing API key. Please provide X-API-Key header.'
+      message: 'Missing API key. Please provide X-API-Key header.',
+      code: 'unauthorized',
+      retryable: false
     });
   }
 
-  if (apiKey !== process.env.API_KEY) {
+  const key = findKey(apiKey);
+
+  if (!key || !key.enabled) {
+    recordAuthFailure(key ? 'disabled_key' : 'invalid_key');
     return res.status(401).json({
       error: 'Unauthorized',
-      message: 'Invalid API key'
+      message: 'Invalid API key',
+      code: 'unauthorized',
+      retryable: false
     });
   }
 
+  req.apiKey = key;
   next();
 };
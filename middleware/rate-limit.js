@@ -0,0 +1,167 @@
+/**
+ * Rate limiting middleware
+ * Limits are tracked per API key id (the limiter runs after authentication):
+ *   - requestsPerMinute: fixed one-minute window
+ *   - maxConcurrent: requests in flight at the same time
+ *   - dailyRows: rows returned per UTC day (from the row counts routes record for the audit log)
+ * Defaults come from RATE_LIMIT_RPM, RATE_LIMIT_CONCURRENT and RATE_LIMIT_DAILY_ROWS and can be
+ * overridden per key with `limits` in the key registry. 0 disables a limit.
+ */
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: parseInt(process.env.RATE_LIMIT_RPM || '120'),
+  maxConcurrent: parseInt(process.env.RATE_LIMIT_CONCURRENT || '5'),
+  dailyRows: parseInt(process.env.RATE_LIMIT_DAILY_ROWS || '0')
+};
+
+const WINDOW_MS = 60 * 1000;
+
+// identity -> { windowStart, requests, inFlight, day, rows }
+const usage = new Map();
+
+// Drop idle entries so the map does not grow with every client seen
+setInterval(() => {
+  const now = Date.now();
+  for (const [identity, state] of usage) {
+    if (state.inFlight === 0 && now - state.windowStart > WINDOW_MS && state.day !== currentDay()) {
+      usage.delete(identity);
+    }
+  }
+}, WINDOW_MS).unref();
+
+/**
+ * Current UTC day (YYYY-MM-DD)
+ * @returns {string}
+ */
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Seconds until the next UTC midnight
+ * @returns {number}
+ */
+function secondsUntilMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+/**
+ * Resolve the effective limits of an API key
+ * @param {Object} key - Key entry attached to the request (req.apiKey)
+ * @returns {{requestsPerMinute: number, maxConcurrent: number, dailyRows: number}}
+ */
+function getLimits(key) {
+  return { ...DEFAULT_LIMITS, ...key.limits };
+}
+
+/**
+ * Get (and roll over) the usage state of an identity
+ * @param {string} identity - Key based identity
+ * @returns {Object}
+ */
+function getUsage(identity) {
+  const now = Date.now();
+  const day = currentDay();
+  let state = usage.get(identity);
+
+  if (!state) {
+    state = { windowStart: now, requests: 0, inFlight: 0, day, rows: 0 };
+    usage.set(identity, state);
+  }
+  if (now - state.windowStart >= WINDOW_MS) {
+    state.windowStart = now;
+    state.requests = 0;
+  }
+  if (state.day !== day) {
+    state.day = day;
+    state.rows = 0;
+  }
+
+  return state;
+}
+
+/**
+ * Send a 429 response
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @param {string} message - Error message
+ */
+function reject(res, retryAfter, message) {
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: 'Too Many Requests',
+    message,
+    code: 'limit_exceeded',
+    retryable: true
+  });
+}
+
+/**
+ * Rows left in the daily row budget of an API key
+ * @param {Object} key - Key entry attached to the request (req.apiKey)
+ * @returns {number} Infinity when dailyRows is not limited
+ */
+function remainingDailyRows(key) {
+  const { dailyRows } = getLimits(key);
+  if (dailyRows <= 0) {
+    return Infinity;
+  }
+  return Math.max(0, dailyRows - getUsage(`key:${key.id}`).rows);
+}
+
+/**
+ * Rate limiting middleware
+ * @param {Object} req - Express request (authenticated)
+ * @param {Object} res - Express response
+ * @param {Function} next
+ */
+function rateLimit(req, res, next) {
+  const limits = getLimits(req.apiKey);
+  const state = getUsage(`key:${req.apiKey.id}`);
+
+  const resetSeconds = Math.ceil((state.windowStart + WINDOW_MS - Date.now()) / 1000);
+
+  if (limits.requestsPerMinute > 0) {
+    res.setHeader('X-RateLimit-Limit', String(limits.requestsPerMinute));
+    res.setHeader('X-RateLimit-Remaining', String(Math.max(0, limits.requestsPerMinute - state.requests - 1)));
+    res.setHeader('X-RateLimit-Reset', String(Math.ceil((state.windowStart + WINDOW_MS) / 1000)));
+
+    if (state.requests >= limits.requestsPerMinute) {
+      res.setHeader('X-RateLimit-Remaining', '0');
+      return reject(res, resetSeconds, `Rate limit of ${limits.requestsPerMinute} requests per minute exceeded`);
+    }
+  }
+
+  if (limits.maxConcurrent > 0) {
+    res.setHeader('X-RateLimit-Concurrent-Limit', String(limits.maxConcurrent));
+    if (state.inFlight >= limits.maxConcurrent) {
+      return reject(res, 1, `Too many concurrent requests (limit ${limits.maxConcurrent})`);
+    }
+  }
+
+  if (limits.dailyRows > 0) {
+    res.setHeader('X-RateLimit-Rows-Limit', String(limits.dailyRows));
+    res.setHeader('X-RateLimit-Rows-Remaining', String(Math.max(0, limits.dailyRows - state.rows)));
+    if (state.rows >= limits.dailyRows) {
+      return reject(res, secondsUntilMidnight(), `Daily row budget of ${limits.dailyRows} rows exhausted`);
+    }
+  }
+
+  state.requests++;
+  state.inFlight++;
+
+  res.on('close', () => {
+    state.inFlight--;
+    const rowCount = res.locals.audit && res.locals.audit.rowCount;
+    if (Number.isFinite(rowCount)) {
+      state.rows += rowCount;
+    }
+  });
+
+  next();
+}
+
+module.exports = rateLimit;
+module.exports.remainingDailyRows = remainingDailyRows;
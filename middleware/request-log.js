@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const logger = require('../logger');
+
+// Accepted X-Request-Id values; anything else is replaced with a generated id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request logging middleware
+ * Assigns every request an id (taken from X-Request-Id or generated), echoes it in the
+ * X-Request-Id response header and logs one entry per request when the response
+ * completes: id, method, path, status, duration, key id and the database, SQL text and
+ * error details routes attach through setAuditContext. 5xx responses are logged at
+ * error level, 4xx at warn level and everything else at info level.
+ */
+module.exports = (req, res, next) => {
+  const startTime = process.hrtime.bigint();
+  const presented = req.headers['x-request-id'];
+  req.id = typeof presented === 'string' && REQUEST_ID_PATTERN.test(presented) ? presented : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  // Capture the error message of failed requests
+  let errorMessage;
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && body.error) {
+      errorMessage = body.message || body.error;
+    }
+    return json(body);
+  };
+
+  res.on('close', () => {
+    const audit = res.locals.audit || {};
+    const aborted = !res.writableFinished;
+    let level = 'info';
+    if (res.statusCode >= 500) {
+      level = 'error';
+    } else if (res.statusCode >= 400 || aborted) {
+      level = 'warn';
+    }
+
+    logger[level]('request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      aborted: aborted || undefined,
+      durationMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+      keyId: req.apiKey ? req.apiKey.id : undefined,
+      clientIp: req.ip,
+      database: audit.database,
+      procedure: audit.procedure,
+      jobId: audit.jobId,
+      rowCount: audit.rowCount,
+      sql: logger.formatSql(audit.sql),
+      error: errorMessage || audit.error
+    });
+  });
+
+  next();
+};
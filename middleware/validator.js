@@ -1,67 +1,394 @@
 /**
  * SQL Injection prevention validator
- * Only allows SELECT queries and blocks dangerous keywords/patterns
+ * Only allows read-only SELECT statements (optionally with CTEs and set operators),
+ * checked against a T-SQL token stream rather than raw text
  */
 
+const { validateParameterDefinition } = require('../sql-types');
+const { significantTokens, positionAt } = require('../sql-lexer');
+const { recordValidatorRejection } = require('../metrics');
+const { getPhysicalDatabase } = require('../data-sources');
+
+// Schema used for object names given without one
+const DEFAULT_SCHEMA = process.env.DB_DEFAULT_SCHEMA || 'dbo';
+
+const SCHEMA_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,127}$/;
+
+// Reserved words that never belong in a read-only SELECT statement
+const FORBIDDEN_KEYWORDS = new Set([
+  'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'DROP', 'CREATE', 'ALTER', 'TRUNCATE',
+  'EXEC', 'EXECUTE', 'GRANT', 'REVOKE', 'DENY', 'BULK', 'BACKUP', 'RESTORE',
+  'SHUTDOWN', 'KILL', 'RECONFIGURE', 'DBCC', 'USE', 'DECLARE', 'SET', 'WAITFOR',
+  'BEGIN', 'COMMIT', 'ROLLBACK', 'SAVE', 'TRANSACTION', 'IF', 'WHILE', 'GOTO',
+  'RETURN', 'PRINT', 'RAISERROR', 'READTEXT', 'WRITETEXT', 'UPDATETEXT',
+  'SETUSER', 'CHECKPOINT'
+]);
+
+// Rowset functions that reach outside the database
+const EXTERNAL_ROWSET_FUNCTIONS = new Set(['OPENROWSET', 'OPENQUERY', 'OPENDATASOURCE', 'OPENXML']);
+
+const SET_OPERATORS = new Set(['UNION', 'EXCEPT', 'INTERSECT']);
+
+// Keywords that end a table source (so they are not mistaken for an alias)
+const CLAUSE_KEYWORDS = new Set([
+  'WHERE', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'OUTER', 'ON', 'GROUP',
+  'ORDER', 'HAVING', 'UNION', 'EXCEPT', 'INTERSECT', 'WITH', 'OPTION', 'FOR', 'APPLY',
+  'PIVOT', 'UNPIVOT', 'TABLESAMPLE', 'SELECT', 'OFFSET', 'FETCH', 'WINDOW'
+]);
+
+/**
+ * Check whether a token can be (part of) an object name
+ * @param {Object} token
+ * @returns {boolean}
+ */
+function isNameToken(token) {
+  return !!token && (token.type === 'identifier' || (token.type === 'keyword' && !CLAUSE_KEYWORDS.has(token.upper)));
+}
+
+/**
+ * Check whether a token is the given punctuation character
+ * @param {Object} token
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPunctuation(token, value) {
+  return !!token && token.type === 'punctuation' && token.value === value;
+}
+
+/**
+ * Find the index of the parenthesis closing the one at openIndex
+ * @param {Array<Object>} tokens
+ * @param {number} openIndex - Index of a "(" token
+ * @returns {number} Index of the matching ")" or -1
+ */
+function findClosingParen(tokens, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < tokens.length; i++) {
+    if (isPunctuation(tokens[i], '(')) depth++;
+    if (isPunctuation(tokens[i], ')')) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read a dotted object name (a.b.c, [a]..[c]) starting at index
+ * @param {Array<Object>} tokens
+ * @param {number} index - Index of the first name token
+ * @returns {{parts: string[], next: number}} Name parts (empty string for omitted parts)
+ */
+function readObjectName(tokens, index) {
+  const parts = [tokens[index].name];
+  let i = index + 1;
+
+  while (isPunctuation(tokens[i], '.')) {
+    i++;
+    if (isPunctuation(tokens[i], '.')) {
+      parts.push('');
+      continue;
+    }
+    if (isNameToken(tokens[i]) || (tokens[i] && tokens[i].type === 'keyword')) {
+      parts.push(tokens[i].name);
+      i++;
+    } else {
+      // e.g. t.* - the wildcard is not part of the name
+      break;
+    }
+  }
+
+  return { parts, next: i };
+}
+
+/**
+ * Parse the statement structure: leading CTEs and the start of the main query
+ * @param {Array<Object>} tokens - Significant tokens
+ * @returns {{ctes: string[], mainIndex: number}|{error: string, token: Object}}
+ */
+function parseStatement(tokens) {
+  const ctes = [];
+  let i = 0;
+
+  if (tokens[0].upper === 'WITH') {
+    i = 1;
+    for (;;) {
+      if (!isNameToken(tokens[i])) {
+        return { error: 'Expected common table expression name', token: tokens[i] || tokens[tokens.length - 1] };
+      }
+      ctes.push(tokens[i].name);
+      i++;
+
+      // Optional column list
+      if (isPunctuation(tokens[i], '(')) {
+        const close = findClosingParen(tokens, i);
+        if (close === -1) {
+          return { error: 'Unbalanced parentheses', token: tokens[i] };
+        }
+        i = close + 1;
+      }
+
+      if (!tokens[i] || tokens[i].upper !== 'AS' || !isPunctuation(tokens[i + 1], '(')) {
+        return { error: 'Expected AS ( ... ) after common table expression name', token: tokens[i] || tokens[tokens.length - 1] };
+      }
+
+      const body = i + 2;
+      const close = findClosingParen(tokens, i + 1);
+      if (close === -1) {
+        return { error: 'Unbalanced parentheses', token: tokens[i + 1] };
+      }
+      if (!tokens[body] || (tokens[body].upper !== 'SELECT' && !isPunctuation(tokens[body], '('))) {
+        return { error: 'Common table expressions must contain a SELECT query', token: tokens[body] || tokens[close] };
+      }
+      i = close + 1;
+
+      if (!isPunctuation(tokens[i], ',')) break;
+      i++;
+    }
+  }
+
+  const main = tokens[i];
+  if (!main || (main.upper !== 'SELECT' && !isPunctuation(main, '('))) {
+    return { error: 'Only SELECT queries are allowed', token: main || tokens[tokens.length - 1] };
+  }
+
+  return { ctes, mainIndex: i };
+}
+
+/**
+ * Collect the table sources that follow FROM, JOIN, APPLY and the commas of a FROM clause,
+ * including those inside parenthesized joins
+ * @param {Array<Object>} tokens - Significant tokens
+ * @returns {Array<{parts: string[], token: Object, next: number}>} next is the index after the name
+ */
+function findTableSources(tokens) {
+  const sources = [];
+  // One frame per parenthesis level: the token before "(" and whether a FROM clause is open
+  const frames = [{ opener: null, inFrom: false }];
+
+  // Set when a source position is followed by "(": a derived table or a parenthesized join
+  let nestedSource = false;
+
+  for (let k = 0; k < tokens.length; k++) {
+    const token = tokens[k];
+    const frame = frames[frames.length - 1];
+    const opensSource = nestedSource;
+    nestedSource = false;
+
+    if (isPunctuation(token, ')')) {
+      if (frames.length > 1) frames.pop();
+      continue;
+    }
+
+    let startsSource = false;
+    if (isPunctuation(token, '(')) {
+      // FROM (a JOIN b ON ...) opens a FROM clause of its own; for a derived table the
+      // SELECT that follows closes it again
+      frames.push({ opener: tokens[k - 1], inFrom: opensSource });
+      startsSource = opensSource;
+    } else if (token.type === 'keyword' && ['FROM', 'JOIN', 'APPLY'].includes(token.upper)) {
+      // TRIM(' ' FROM col) is not a table source
+      if (frame.opener && frame.opener.upper === 'TRIM') continue;
+      frame.inFrom = true;
+      startsSource = true;
+    } else if (token.upper === 'FOR' && tokens[k + 1] && tokens[k + 1].upper === 'SYSTEM_TIME') {
+      // Temporal clause of the preceding table (FOR SYSTEM_TIME ALL, AS OF ..., FROM ... TO ...):
+      // the FROM clause goes on after it
+      k++;
+      continue;
+    } else if (token.type === 'keyword' && CLAUSE_KEYWORDS.has(token.upper) && !['ON', 'WITH', 'CROSS', 'OUTER', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'PIVOT', 'UNPIVOT', 'TABLESAMPLE'].includes(token.upper)) {
+      frame.inFrom = false;
+    } else if (token.type === 'keyword' && token.upper === 'VALUES') {
+      frame.inFrom = false;
+    } else if (isPunctuation(token, ',') && frame.inFrom) {
+      startsSource = true;
+    }
+
+    if (startsSource && isPunctuation(tokens[k + 1], '(')) {
+      nestedSource = true;
+      continue;
+    }
+    // VALUES (...) row constructors are not tables
+    if (!startsSource || !isNameToken(tokens[k + 1]) || tokens[k + 1].upper === 'VALUES') continue;
+
+    // Derived tables are skipped here - their own FROM clauses are visited by this loop
+    const { parts, next } = readObjectName(tokens, k + 1);
+    sources.push({ parts, token: tokens[k + 1], next });
+    k = next - 1;
+  }
+
+  return sources;
+}
+
+/**
+ * Build a validation failure pointing at a token
+ * @param {string} query - Source text
+ * @param {Object} token - Offending token
+ * @param {string} message - Error message
+ * @param {string} reason - Stable reason code (see validateQuery)
+ * @returns {{valid: false, error: string, reason: string, position: Object, token: string}}
+ */
+function rejectAt(query, token, message, reason) {
+  const position = positionAt(query, token.start);
+  return {
+    valid: false,
+    error: `${message} (line ${position.line}, column ${position.column})`,
+    reason,
+    position,
+    token: token.value
+  };
+}
+
+/**
+ * Tokenize a query and strip trailing statement terminators
+ * @param {string} query - SQL query
+ * @returns {Array<Object>} Significant tokens
+ * @throws {Error} Lexer error with position
+ */
+function queryTokens(query) {
+  const tokens = significantTokens(query);
+  while (tokens.length > 0 && isPunctuation(tokens[tokens.length - 1], ';')) {
+    tokens.pop();
+  }
+  return tokens;
+}
+
 /**
  * Validate SQL query for safety
+ * Allows a single SELECT statement, optionally preceded by CTEs and combined with
+ * UNION/EXCEPT/INTERSECT. Rejects multiple statements, SELECT ... INTO, data
+ * modification and control-flow keywords, NEXT VALUE FOR, external rowset functions and
+ * linked-server (four-part) names.
+ * Rejections carry a reason code (invalid_input, syntax, empty, multiple_statements,
+ * unbalanced_parentheses, select_into, external_rowset, forbidden_keyword, linked_server,
+ * statement, cross_database) and are counted in the validator metrics.
  * @param {string} query - SQL query to validate
- * @returns {{valid: boolean, error?: string}}
+ * @param {Object} [options]
+ * @param {string} [options.database] - Target database alias; three-part names (tables,
+ *   functions, ...) must reference the physical database it routes to, apart from
+ *   schema.table.column references to a table of the query
+ * @returns {{valid: boolean, error?: string, reason?: string, position?: {offset: number, line: number, column: number}, token?: string}}
+ */
+function validateQuery(query, options = {}) {
+  const result = checkQuery(query, options);
+  if (!result.valid) {
+    recordValidatorRejection(result.reason);
+  }
+  return result;
+}
+
+/**
+ * Run the checks of validateQuery
+ * @param {string} query - SQL query to validate
+ * @param {Object} options - See validateQuery
+ * @returns {Object} See validateQuery
  */
-function validateQuery(query) {
+function checkQuery(query, options) {
   if (!query || typeof query !== 'string') {
-    return { valid: false, error: 'Query is required and must be a string' };
+    return { valid: false, error: 'Query is required and must be a string', reason: 'invalid_input' };
+  }
+
+  let tokens;
+  try {
+    tokens = queryTokens(query);
+  } catch (error) {
+    return { valid: false, error: error.message, reason: 'syntax', position: error.position };
+  }
+
+  if (tokens.length === 0) {
+    return { valid: false, error: 'Query is empty', reason: 'empty' };
+  }
+
+  // Statement terminators are only allowed at the end
+  const separator = tokens.find(token => isPunctuation(token, ';'));
+  if (separator) {
+    return rejectAt(query, separator, 'Multiple statements are not allowed', 'multiple_statements');
+  }
+
+  let depth = 0;
+  for (const token of tokens) {
+    if (isPunctuation(token, '(')) depth++;
+    if (isPunctuation(token, ')')) depth--;
+    if (depth < 0) {
+      return rejectAt(query, token, 'Unbalanced parentheses', 'unbalanced_parentheses');
+    }
+  }
+  if (depth !== 0) {
+    return rejectAt(query, tokens[tokens.length - 1], 'Unbalanced parentheses', 'unbalanced_parentheses');
   }
 
-  const trimmedQuery = query.trim().toUpperCase();
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'keyword') continue;
 
-  // Must start with SELECT
-  if (!trimmedQuery.startsWith('SELECT')) {
-    return { valid: false, error: 'Only SELECT queries are allowed' };
+    // Names after a dot (t.Status) are object/column names, not keywords
+    if (isPunctuation(tokens[i - 1], '.')) continue;
+
+    if (token.upper === 'INTO') {
+      return rejectAt(query, token, 'SELECT ... INTO is not allowed', 'select_into');
+    }
+    if (EXTERNAL_ROWSET_FUNCTIONS.has(token.upper)) {
+      return rejectAt(query, token, `${token.upper} is not allowed`, 'external_rowset');
+    }
+    if (FORBIDDEN_KEYWORDS.has(token.upper)) {
+      return rejectAt(query, token, `Keyword '${token.upper}' is not allowed`, 'forbidden_keyword');
+    }
+    // NEXT VALUE FOR advances a sequence
+    if (token.upper === 'NEXT' && tokens[i + 1] && tokens[i + 1].upper === 'VALUE' && tokens[i + 2] && tokens[i + 2].upper === 'FOR') {
+      return rejectAt(query, token, 'NEXT VALUE FOR is not allowed', 'forbidden_keyword');
+    }
+  }
+
+  // Linked-server names; three-part names are checked against the target database below
+  const threePartNames = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isNameToken(tokens[i]) || isPunctuation(tokens[i - 1], '.')) continue;
+    const { parts, next } = readObjectName(tokens, i);
+    if (parts.length >= 4) {
+      return rejectAt(query, tokens[i], 'Four-part (linked server) names are not allowed', 'linked_server');
+    }
+    if (parts.length === 3) {
+      threePartNames.push({ parts, token: tokens[i], call: isPunctuation(tokens[next], '(') });
+    }
+  }
+
+  const statement = parseStatement(tokens);
+  if (statement.error) {
+    return rejectAt(query, statement.token, statement.error, 'statement');
   }
 
-  // Dangerous keywords that should never appear
-  const dangerousKeywords = [
-    'INSERT',
-    'UPDATE',
-    'DELETE',
-    'DROP',
-    'CREATE',
-    'ALTER',
-    'EXEC',
-    'EXECUTE',
-    'SP_',
-    'XP_',
-    'TRUNCATE',
-    'MERGE',
-    'GRANT',
-    'REVOKE',
-    'DENY'
-  ];
+  // A SELECT at the top level may only start the main query or follow a set operator
+  depth = 0;
+  for (let i = statement.mainIndex; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (isPunctuation(token, '(')) depth++;
+    if (isPunctuation(token, ')')) depth--;
+    if (depth !== 0 || token.upper !== 'SELECT' || i === statement.mainIndex) continue;
 
-  for (const keyword of dangerousKeywords) {
-    // Check for keyword as a whole word (surrounded by non-word characters or at boundaries)
-    const regex = new RegExp(`\\b${keyword}\\b`, 'i');
-    if (regex.test(query)) {
-      return { valid: false, error: `Dangerous keyword detected: ${keyword}` };
+    const previous = tokens[i - 1];
+    const afterSetOperator = SET_OPERATORS.has(previous.upper) ||
+      (previous.upper === 'ALL' && tokens[i - 2] && tokens[i - 2].upper === 'UNION');
+    if (!afterSetOperator) {
+      return rejectAt(query, token, 'Multiple statements are not allowed', 'multiple_statements');
     }
   }
 
-  // Dangerous patterns
-  const dangerousPatterns = [
-    { pattern: /;\s*SELECT/i, error: 'Stacked queries are not allowed' },
-    { pattern: /--/, error: 'SQL comments (--) are not allowed' },
-    { pattern: /\/\*/, error: 'Multi-line comments are not allowed' },
-    { pattern: /UNION\s+ALL\s+SELECT/i, error: 'UNION ALL injection detected' },
-    { pattern: /UNION\s+SELECT/i, error: 'UNION injection detected' },
-    { pattern: /INTO\s+OUTFILE/i, error: 'File operations are not allowed' },
-    { pattern: /INTO\s+DUMPFILE/i, error: 'File operations are not allowed' },
-    { pattern: /LOAD_FILE/i, error: 'File operations are not allowed' }
-  ];
+  if (options.database) {
+    // Every three-part name (tables, functions, ...) must be in the target database, except
+    // schema.table.column references to a table source of the query
+    const physical = (getPhysicalDatabase(options.database) || options.database).toLowerCase();
+    const sources = findTableSources(tokens);
+    const sourceTokens = new Set(sources.map(source => source.token));
+    const twoPartSources = new Set(sources
+      .filter(source => source.parts.length === 2)
+      .map(source => source.parts.join('.').toLowerCase()));
 
-  for (const { pattern, error } of dangerousPatterns) {
-    if (pattern.test(query)) {
-      return { valid: false, error };
+    for (const name of threePartNames) {
+      if (name.parts[0].toLowerCase() === physical) continue;
+      const columnReference = !name.call && !sourceTokens.has(name.token) &&
+        twoPartSources.has(name.parts.slice(0, 2).join('.').toLowerCase());
+      if (columnReference) continue;
+      return rejectAt(query, name.token, 'Cross-database references are not allowed', 'cross_database');
     }
   }
 
@@ -69,8 +396,81 @@ function validateQuery(query) {
 }
 
 /**
- * Validate table name (alphanumeric and underscore only)
- * @param {string} tableName - Table name to validate
+ * Split a validated query into its CTE prefix, main query body and top-level ORDER BY
+ * @param {string} query - SQL query (already validated)
+ * @returns {{prefix: string, body: string, orderBy: string|null, setOperation: boolean, hasTop: boolean,
+ *   hasFetch: boolean, selectEnd: number}}
+ */
+function splitQuery(query) {
+  const tokens = queryTokens(query);
+  const statement = parseStatement(tokens);
+  const main = tokens[statement.mainIndex];
+
+  let depth = 0;
+  let setOperation = isPunctuation(main, '(');
+  let hasFetch = false;
+  let orderByIndex = -1;
+  for (let i = statement.mainIndex; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (isPunctuation(token, '(')) depth++;
+    if (isPunctuation(token, ')')) depth--;
+    if (depth !== 0) continue;
+
+    if (SET_OPERATORS.has(token.upper)) setOperation = true;
+    if (token.upper === 'FETCH') hasFetch = true;
+    if (token.upper === 'ORDER' && tokens[i + 1] && tokens[i + 1].upper === 'BY') orderByIndex = i;
+  }
+
+  const last = tokens[tokens.length - 1];
+  const bodyEnd = orderByIndex === -1 ? last.end : tokens[orderByIndex - 1].end;
+
+  let selectIndex = statement.mainIndex;
+  if (tokens[selectIndex + 1] && ['DISTINCT', 'ALL'].includes(tokens[selectIndex + 1].upper)) selectIndex++;
+
+  return {
+    prefix: query.slice(0, main.start),
+    body: query.slice(main.start, bodyEnd),
+    orderBy: orderByIndex === -1 ? null : query.slice(tokens[orderByIndex + 2].start, last.end),
+    setOperation,
+    hasTop: !setOperation && !!tokens[selectIndex + 1] && tokens[selectIndex + 1].upper === 'TOP',
+    hasFetch,
+    // Offset just after SELECT [DISTINCT|ALL] of the main query
+    selectEnd: tokens[selectIndex].end
+  };
+}
+
+/**
+ * Apply a row limit to a validated query
+ * Adds TOP to the main SELECT, or wraps set operations (UNION/EXCEPT/INTERSECT)
+ * in a derived table. Queries that already use TOP or OFFSET/FETCH are unchanged.
+ * @param {string} query - SQL query (already validated)
+ * @param {number} limit - Maximum number of rows
+ * @returns {{query: string, limited: boolean}}
+ */
+function applyRowLimit(query, limit) {
+  const parts = splitQuery(query);
+
+  if (parts.hasTop || parts.hasFetch) {
+    return { query, limited: false };
+  }
+
+  if (parts.setOperation) {
+    const orderClause = parts.orderBy ? ` ORDER BY ${parts.orderBy}` : '';
+    return {
+      query: `${parts.prefix}SELECT TOP ${limit} * FROM (\n${parts.body}\n) AS limited_result${orderClause}`,
+      limited: true
+    };
+  }
+
+  return {
+    query: `${query.slice(0, parts.selectEnd)} TOP ${limit}${query.slice(parts.selectEnd)}`,
+    limited: true
+  };
+}
+
+/**
+ * Validate table name (alphanumeric and underscore only, optionally schema-qualified)
+ * @param {string} tableName - Table name to validate ("Orders" or "sales.Orders")
  * @returns {{valid: boolean, error?: string}}
  */
 function validateTableName(tableName) {
@@ -78,8 +478,8 @@ function validateTableName(tableName) {
     return { valid: false, error: 'Table name is required' };
   }
 
-  // Allow only alphanumeric characters, underscores, and spaces
-  const validPattern = /^[a-zA-Z_][a-zA-Z0-9_\s]*$/;
+  // Allow only alphanumeric characters, underscores, and spaces, with an optional schema prefix
+  const validPattern = /^(?:[a-zA-Z_][a-zA-Z0-9_]{0,127}\.)?[a-zA-Z_][a-zA-Z0-9_\s]*$/;
   if (!validPattern.test(tableName)) {
     return { valid: false, error: 'Invalid table name format' };
   }
@@ -109,7 +509,7 @@ function validateDatabaseName(databaseName) {
 /**
  * Validate stored procedure name
  * SQL Injection prevention - only allows safe characters
- * @param {string} name - Stored procedure name to validate
+ * @param {string} name - Stored procedure name to validate ("GetOrders" or "sales.GetOrders")
  * @returns {{valid: boolean, error?: string}}
  */
 function validateStoredProcedureName(name) {
@@ -117,9 +517,9 @@ function validateStoredProcedureName(name) {
     return { valid: false, error: 'Stored procedure name is required' };
   }
 
-  // Allow only alphanumeric characters and underscores (max 128 chars)
-  // Must start with letter or underscore
-  const validPattern = /^[a-zA-Z_][a-zA-Z0-9_]{0,127}$/;
+  // Allow only alphanumeric characters and underscores (max 128 chars per part)
+  // Must start with letter or underscore; an optional schema prefix is allowed
+  const validPattern = /^(?:[a-zA-Z_][a-zA-Z0-9_]{0,127}\.)?[a-zA-Z_][a-zA-Z0-9_]{0,127}$/;
   if (!validPattern.test(name)) {
     return { valid: false, error: 'Invalid stored procedure name format' };
   }
@@ -127,9 +527,385 @@ function validateStoredProcedureName(name) {
   return { valid: true };
 }
 
+/**
+ * Validate schema name
+ * @param {string} schema - Schema name to validate
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateSchemaName(schema) {
+  if (!schema || typeof schema !== 'string') {
+    return { valid: false, error: 'Schema name is required' };
+  }
+
+  if (!SCHEMA_PATTERN.test(schema)) {
+    return { valid: false, error: 'Invalid schema name format' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Resolve the schema and name of a table or stored procedure
+ * The schema comes from the route (schema path segment) or a "schema.name" prefix,
+ * and defaults to DB_DEFAULT_SCHEMA (dbo).
+ * @param {string|undefined} schema - Schema from the route, if any
+ * @param {string} name - Object name, optionally schema-qualified
+ * @param {Function} validateName - validateTableName or validateStoredProcedureName
+ * @returns {{valid: boolean, error?: string, schema?: string, name?: string, qualifiedName?: string}}
+ */
+function resolveObjectName(schema, name, validateName) {
+  const nameValidation = validateName(name);
+  if (!nameValidation.valid) {
+    return nameValidation;
+  }
+
+  const dot = name.indexOf('.');
+  if (dot !== -1 && schema !== undefined) {
+    return { valid: false, error: `Name '${name}' is already schema-qualified; do not also give a schema in the path` };
+  }
+
+  const resolvedSchema = schema !== undefined ? schema : (dot === -1 ? DEFAULT_SCHEMA : name.slice(0, dot));
+  const schemaValidation = validateSchemaName(resolvedSchema);
+  if (!schemaValidation.valid) {
+    return schemaValidation;
+  }
+
+  const objectName = dot === -1 ? name : name.slice(dot + 1);
+  return {
+    valid: true,
+    schema: resolvedSchema,
+    name: objectName,
+    qualifiedName: `${resolvedSchema}.${objectName}`
+  };
+}
+
+/**
+ * Extract the table names referenced after FROM/JOIN/APPLY in a query
+ * Used to enforce per-key table scopes on free-form queries. Names are returned as
+ * schema.name (unqualified names get DB_DEFAULT_SCHEMA), database prefixes are
+ * dropped and CTE names are skipped.
+ * @param {string} query - SQL query (already validated)
+ * @returns {string[]} Unique schema-qualified table names
+ */
+function extractTableReferences(query) {
+  let tokens;
+  try {
+    tokens = queryTokens(query);
+  } catch {
+    return [];
+  }
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const statement = parseStatement(tokens);
+  const ctes = new Set((statement.ctes || []).map(name => name.toLowerCase()));
+  const tables = new Set();
+
+  for (const { parts } of findTableSources(tokens)) {
+    if (parts.length === 1 && ctes.has(parts[0].toLowerCase())) continue;
+    // db..table uses the default schema
+    const schema = parts.length > 1 && parts[parts.length - 2] ? parts[parts.length - 2] : DEFAULT_SCHEMA;
+    tables.add(`${schema}.${parts[parts.length - 1]}`);
+  }
+
+  return [...tables];
+}
+
+// Keywords ending a SELECT list
+const SELECT_LIST_END = new Set([
+  'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'UNION', 'EXCEPT', 'INTERSECT', 'OPTION', 'FOR', 'WINDOW', 'INTO'
+]);
+
+// Words that may sit between ")" and "(" without a column alias list, e.g. (a) IN (...)
+const NOT_ALIAS_WORDS = new Set(['AND', 'OR', 'NOT', 'IN', 'IS', 'LIKE', 'BETWEEN', 'EXISTS', 'OVER', 'AS', 'WHEN', 'THEN', 'ELSE', 'END']);
+
+/**
+ * Find the parenthesized groups whose result columns are renamed by a column list:
+ * derived tables and VALUES followed by "alias (columns)", and CTE bodies after "name (columns) AS"
+ * @param {Array<Object>} tokens - Significant tokens
+ * @returns {Array<{open: number, close: number}>}
+ */
+function findRenamingGroups(tokens) {
+  const groups = [];
+  for (let open = 0; open < tokens.length; open++) {
+    if (!isPunctuation(tokens[open], '(')) continue;
+    const close = findClosingParen(tokens, open);
+    if (close === -1) break;
+
+    // WITH name (columns) AS ( body )
+    const cteName = tokens[open - 1];
+    const beforeName = tokens[open - 2];
+    if (isNameToken(cteName) && beforeName && (beforeName.upper === 'WITH' || isPunctuation(beforeName, ',')) &&
+      tokens[close + 1] && tokens[close + 1].upper === 'AS' && isPunctuation(tokens[close + 2], '(')) {
+      groups.push({ open: close + 2, close: findClosingParen(tokens, close + 2) });
+      continue;
+    }
+
+    // ( ... ) [AS] alias (columns)
+    let alias = close + 1;
+    if (tokens[alias] && tokens[alias].upper === 'AS') alias++;
+    if (isNameToken(tokens[alias]) && !NOT_ALIAS_WORDS.has(tokens[alias].upper) && isPunctuation(tokens[alias + 1], '(')) {
+      groups.push({ open, close });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Split a comma-separated list at depth 0
+ * @param {Array<Object>} tokens - Significant tokens
+ * @param {number} start - Index of the first list token
+ * @param {(token: Object, index: number) => boolean} isEnd - Whether a depth 0 token ends the list
+ * @returns {Array<Array<Object>>} Tokens of each list element
+ */
+function splitList(tokens, start, isEnd) {
+  const elements = [];
+  let current = [];
+  let depth = 0;
+
+  for (let i = start; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (depth === 0 && (isPunctuation(token, ')') || isEnd(token, i))) break;
+    if (isPunctuation(token, '(')) depth++;
+    if (isPunctuation(token, ')')) depth--;
+    if (depth === 0 && isPunctuation(token, ',')) {
+      if (current.length > 0) elements.push(current);
+      current = [];
+      continue;
+    }
+    current.push(token);
+  }
+
+  if (current.length > 0) elements.push(current);
+  return elements;
+}
+
+/**
+ * Describe one select list (or VALUES row) element
+ * @param {Array<Object>} element - Element tokens
+ * @param {boolean} renamed - Whether the result column is named by something else
+ * @returns {{token: Object, tokens: Array<Object>, column: string|null, alias: string|null, aliasToken: Object|null,
+ *   star: boolean, references: string[], renamed: boolean}}
+ */
+function describeSelectItem(element, renamed) {
+  let expression = element;
+  let aliasToken = null;
+  const last = element[element.length - 1];
+
+  if (element.length > 2 && isNameToken(element[0]) && element[1].type === 'operator' && element[1].value === '=') {
+    // alias = expression
+    aliasToken = element[0];
+    expression = element.slice(2);
+  } else if (element.length > 2 && element[element.length - 2].upper === 'AS') {
+    aliasToken = last;
+    expression = element.slice(0, -2);
+  } else if (element.length > 1 && (isNameToken(last) || last.type === 'string') && !isPunctuation(element[element.length - 2], '.')) {
+    aliasToken = last;
+    expression = element.slice(0, -1);
+  }
+
+  let alias = null;
+  if (aliasToken) {
+    alias = aliasToken.type === 'string' ? aliasToken.value.replace(/^N?'|'$/gi, '').replace(/''/g, '\'') : aliasToken.name;
+  }
+
+  // [qualifier.]column and [qualifier.]*
+  const dotted = expression.every((token, index) => (index % 2 === 1
+    ? isPunctuation(token, '.')
+    : index === expression.length - 1 || token.type === 'identifier' || token.type === 'keyword'));
+  const end = expression[expression.length - 1];
+  const star = dotted && expression.length % 2 === 1 && end.type === 'operator' && end.value === '*';
+  const column = dotted && expression.length % 2 === 1 && (end.type === 'identifier' || end.type === 'keyword') ? end.name : null;
+
+  // Function names (followed by "(") are not column references
+  const references = expression
+    .filter((token, index) => (token.type === 'identifier' || token.type === 'keyword') && !isPunctuation(expression[index + 1], '('))
+    .map(token => token.name);
+
+  return { token: element[0], tokens: element, column, alias, aliasToken, star, references, renamed };
+}
+
+/**
+ * Describe how a query names its result columns
+ * Lists every element of every SELECT list and VALUES row. An element is renamed when its
+ * result column is named by something other than the element itself: later branches of
+ * UNION/EXCEPT/INTERSECT, CTEs and derived tables with a column list, and VALUES rows.
+ * Also lists constructs that reshape columns into other columns or documents
+ * (FOR JSON, FOR XML, PIVOT, UNPIVOT), and every name of the statement that may refer to a
+ * column (all names except table source names, select list aliases, names after AS and
+ * function names).
+ * Used by the masking policy to keep masked columns under their own names.
+ * @param {string} query - SQL query (already validated)
+ * @returns {{items: Array<Object>, constructs: string[], names: Array<{name: string, token: Object}>}}
+ *   See describeSelectItem for items
+ */
+function analyzeProjection(query) {
+  let tokens;
+  try {
+    tokens = queryTokens(query);
+  } catch {
+    return { items: [], constructs: [], names: [] };
+  }
+
+  const renamingGroups = findRenamingGroups(tokens);
+  const inRenamingGroup = index => renamingGroups.some(group => index > group.open && index < group.close);
+  const items = [];
+  const constructs = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'keyword' || isPunctuation(tokens[i - 1], '.')) continue;
+
+    if (token.upper === 'PIVOT' || token.upper === 'UNPIVOT') {
+      constructs.add(token.upper);
+    } else if (token.upper === 'FOR' && tokens[i + 1] && ['JSON', 'XML'].includes(tokens[i + 1].upper)) {
+      constructs.add(`FOR ${tokens[i + 1].upper}`);
+    } else if (token.upper === 'VALUES') {
+      // VALUES (a, b), (c, d) - columns are named by the alias list that follows
+      let row = i + 1;
+      while (isPunctuation(tokens[row], '(')) {
+        for (const element of splitList(tokens, row + 1, () => false)) {
+          items.push(describeSelectItem(element, true));
+        }
+        row = findClosingParen(tokens, row) + 1;
+        if (!isPunctuation(tokens[row], ',')) break;
+        row++;
+      }
+    } else if (token.upper === 'SELECT') {
+      let previous = i - 1;
+      while (isPunctuation(tokens[previous], '(')) previous--;
+      const afterSetOperator = tokens[previous] && (SET_OPERATORS.has(tokens[previous].upper) || tokens[previous].upper === 'ALL');
+
+      let start = i + 1;
+      if (tokens[start] && ['DISTINCT', 'ALL'].includes(tokens[start].upper)) start++;
+      if (tokens[start] && tokens[start].upper === 'TOP') {
+        start = isPunctuation(tokens[start + 1], '(') ? findClosingParen(tokens, start + 1) + 1 : start + 2;
+        if (tokens[start] && tokens[start].upper === 'PERCENT') start++;
+        if (tokens[start] && tokens[start].upper === 'WITH' && tokens[start + 1] && tokens[start + 1].upper === 'TIES') start += 2;
+      }
+
+      const isEnd = (candidate, index) => candidate.type === 'keyword' && SELECT_LIST_END.has(candidate.upper) && !isPunctuation(tokens[index - 1], '.');
+      for (const element of splitList(tokens, start, isEnd)) {
+        items.push(describeSelectItem(element, afterSetOperator || inRenamingGroup(i)));
+      }
+    }
+  }
+
+  const excluded = new Set(items.map(item => item.aliasToken).filter(Boolean));
+  for (const source of findTableSources(tokens)) {
+    for (let i = tokens.indexOf(source.token); i < source.next; i++) excluded.add(tokens[i]);
+  }
+  const names = tokens
+    .filter((token, index) => (token.type === 'identifier' || token.type === 'keyword') && !excluded.has(token) &&
+      !isPunctuation(tokens[index + 1], '(') && !(tokens[index - 1] && tokens[index - 1].upper === 'AS'))
+    .map(token => ({ name: token.name, token }));
+
+  return { items, constructs: [...constructs], names };
+}
+
+/**
+ * Extract the @parameter names referenced in a query
+ * @@ system functions are skipped.
+ * @param {string} query - SQL query
+ * @returns {string[]} Unique parameter names without the leading @
+ */
+function extractParameterNames(query) {
+  let tokens;
+  try {
+    tokens = significantTokens(query);
+  } catch {
+    return [];
+  }
+
+  const names = new Map();
+  for (const token of tokens) {
+    if (token.type !== 'variable' || token.value.startsWith('@@')) continue;
+    const key = token.name.toLowerCase();
+    if (!names.has(key)) {
+      names.set(key, token.name);
+    }
+  }
+
+  return [...names.values()];
+}
+
+/**
+ * Validate bound parameters for a query
+ * Every @name referenced in the query must have a binding and every binding must be used.
+ * Rejections are counted in the validator metrics with reason invalid_parameters.
+ * @param {string} query - SQL query
+ * @param {Object} parameters - Map of name -> { type, value, length?, precision?, scale? }
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateQueryParameters(query, parameters) {
+  const result = checkQueryParameters(query, parameters);
+  if (!result.valid) {
+    recordValidatorRejection('invalid_parameters');
+  }
+  return result;
+}
+
+/**
+ * Run the checks of validateQueryParameters
+ * @param {string} query - SQL query
+ * @param {Object} parameters - See validateQueryParameters
+ * @returns {{valid: boolean, error?: string}}
+ */
+function checkQueryParameters(query, parameters) {
+  if (parameters === undefined || parameters === null) {
+    parameters = {};
+  }
+  if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return { valid: false, error: 'Parameters must be an object keyed by parameter name' };
+  }
+
+  const bound = new Map();
+  for (const [key, definition] of Object.entries(parameters)) {
+    const name = key.startsWith('@') ? key.substring(1) : key;
+    if (!/^[a-zA-Z_][\w@$#]{0,127}$/.test(name)) {
+      return { valid: false, error: `Invalid parameter name '${key}'` };
+    }
+    if (name.startsWith('__')) {
+      return { valid: false, error: `Parameter names starting with '__' are reserved ('${key}')` };
+    }
+    if (bound.has(name.toLowerCase())) {
+      return { valid: false, error: `Parameter '@${name}' is bound more than once` };
+    }
+
+    const definitionValidation = validateParameterDefinition(name, definition);
+    if (!definitionValidation.valid) {
+      return definitionValidation;
+    }
+    bound.set(name.toLowerCase(), name);
+  }
+
+  const referenced = extractParameterNames(query);
+  const missing = referenced.filter(name => !bound.has(name.toLowerCase()));
+  if (missing.length > 0) {
+    return { valid: false, error: `Missing binding for parameter(s): ${missing.map(name => `@${name}`).join(', ')}` };
+  }
+
+  const referencedKeys = new Set(referenced.map(name => name.toLowerCase()));
+  const unused = [...bound.entries()].filter(([key]) => !referencedKeys.has(key)).map(([, name]) => name);
+  if (unused.length > 0) {
+    return { valid: false, error: `Parameter(s) not referenced in query: ${unused.map(name => `@${name}`).join(', ')}` };
+  }
+
+  return { valid: true };
+}
+
 module.exports = {
   validateQuery,
+  applyRowLimit,
+  splitQuery,
   validateTableName,
   validateDatabaseName,
-  validateStoredProcedureName
+  validateStoredProcedureName,
+  validateSchemaName,
+  resolveObjectName,
+  extractTableReferences,
+  analyzeProjection,
+  extractParameterNames,
+  validateQueryParameters
 };
@@ -0,0 +1,246 @@
+const { schemas } = require('./api-schemas');
+const { version, description } = require('./package.json');
+
+/**
+ * OpenAPI 3.1 description of the gateway
+ * Request and response bodies reference the shared schemas in api-schemas.js, which
+ * are also used to validate incoming requests.
+ */
+
+const pathParameters = {
+  database: { name: 'database', in: 'path', required: true, description: 'Whitelisted database name', schema: { type: 'string' } },
+  schema: { name: 'schema', in: 'path', required: true, description: 'Schema name', schema: { type: 'string' } },
+  table: { name: 'table', in: 'path', required: true, description: 'Table name, optionally schema-qualified (sales.Orders); the schema defaults to dbo', schema: { type: 'string' } },
+  view: { name: 'view', in: 'path', required: true, description: 'View name, optionally schema-qualified; the schema defaults to dbo', schema: { type: 'string' } },
+  function: { name: 'function', in: 'path', required: true, description: 'Function name, optionally schema-qualified; the schema defaults to dbo', schema: { type: 'string' } },
+  name: { name: 'name', in: 'path', required: true, description: 'Saved query name', schema: { type: 'string' } },
+  id: { name: 'id', in: 'path', required: true, description: 'Job id', schema: { type: 'string', format: 'uuid' } },
+  procedure: { name: 'procedure', in: 'path', required: true, description: 'Stored procedure name, optionally schema-qualified; the schema defaults to dbo', schema: { type: 'string' } }
+};
+
+const errorResponses = {
+  400: 'Invalid input',
+  401: 'Missing or invalid API key',
+  403: 'Database, object or route not allowed for this key',
+  404: 'Object not found',
+  408: 'Query or lock timeout',
+  409: 'Deadlock, update conflict or constraint violation',
+  429: 'Rate limit or quota exceeded',
+  500: 'Server error',
+  503: 'Database unavailable'
+};
+
+/**
+ * Routes published in the description
+ * path uses Express syntax; responses list the error statuses a route can return
+ * schemaPath routes are also published under /databases/{database}/schemas/{schema}/...
+ */
+const routes = [
+  { method: 'get', path: '/databases/:database/tables', summary: 'List tables', response: 'TableList', cached: true, schemaPath: true, errors: [400, 403, 500] },
+  { method: 'get', path: '/databases/:database/tables/:table/schema', summary: 'Get table columns', response: 'TableSchema', cached: true, schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'get', path: '/databases/:database/tables/:table/stats', summary: 'Get table statistics', response: 'TableStats', schemaPath: true, errors: [400, 403, 500] },
+  { method: 'get', path: '/databases/:database/tables/:table/indexes', summary: 'Get table indexes', response: 'TableIndexes', cached: true, schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'get', path: '/databases/:database/tables/:table/keys', summary: 'Get table primary key, unique constraints and foreign keys', description: 'Foreign keys are split into outbound and inbound; tables outside the key scope are omitted.', response: 'TableKeys', cached: true, schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'get', path: '/databases/:database/views', summary: 'List views', response: 'ViewList', cached: true, schemaPath: true, errors: [400, 403, 500] },
+  { method: 'get', path: '/databases/:database/views/:view', summary: 'Get view definition and columns', response: 'ViewDetail', cached: true, schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'get', path: '/databases/:database/functions', summary: 'List user-defined functions', response: 'FunctionList', cached: true, schemaPath: true, errors: [400, 403, 500] },
+  { method: 'get', path: '/databases/:database/functions/:function', summary: 'Get function definition, parameters and return type', response: 'FunctionDetail', cached: true, schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'post', path: '/databases/:database/query', summary: 'Run a read-only SELECT query', description: 'Without pagination options results are limited to TOP 1000. Columns covered by the masking policy are masked and listed in masking. When the cost guard is configured, queries whose estimated plan exceeds its thresholds are rejected with 400.', body: 'QueryRequest', response: 'QueryResult', errors: [400, 403, 500] },
+  { method: 'post', path: '/databases/:database/explain', summary: 'Get the estimated execution plan of a query', description: 'Summarizes the SHOWPLAN_XML plan into operators with estimated rows and costs without running the query.', body: 'ExplainRequest', response: 'QueryPlan', errors: [400, 403, 500] },
+  { method: 'post', path: '/databases/:database/tables/:table/data', summary: 'Read table rows', description: 'Supports structured where conditions and orderBy on the table columns. Paginated requests are ordered by orderBy or the primary key. Masked columns cannot be used in where or orderBy.', body: 'TableDataRequest', response: 'TableData', schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'post', path: '/databases/:database/export', summary: 'Stream query results', description: 'Streams rows as NDJSON (default), CSV or a JSON array. Masked columns are listed in the X-Masked-Columns header.', body: 'ExportRequest', stream: true, errors: [400, 403, 500] },
+  { method: 'get', path: '/databases/:database/stored-procedures', summary: 'List stored procedures', response: 'ProcedureList', cached: true, schemaPath: true, errors: [400, 403, 500] },
+  { method: 'get', path: '/databases/:database/stored-procedures/:procedure', summary: 'Get stored procedure definition and parameters', response: 'ProcedureDetail', cached: true, schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'get', path: '/databases/:database/stored-procedures/:procedure/definition', summary: 'Get stored procedure source', response: 'ProcedureDefinition', cached: true, schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'get', path: '/databases/:database/stored-procedures/:procedure/parameters', summary: 'Get stored procedure parameters', response: 'ProcedureParameters', cached: true, schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'post', path: '/databases/:database/stored-procedures/execute', summary: 'Execute a stored procedure', description: 'Only procedures listed in the procedure policy can be executed. Values are bound with the declared parameter types; OUTPUT parameters are returned in outputParameters. dryRun rolls back all changes.', body: 'ExecuteProcedureRequest', response: 'ProcedureExecution', schemaPath: true, errors: [400, 403, 404, 500] },
+  { method: 'post', path: '/databases/:database/jobs', summary: 'Submit a background query job', description: 'Runs the query on the job pool of the database; poll GET /jobs/{id} for its status and rows. Jobs are visible only to the submitting API key.', body: 'JobRequest', response: 'Job', status: 202, errors: [400, 403, 429, 500] },
+  { method: 'get', path: '/databases/:database/saved-queries', summary: 'List saved queries', description: 'Lists the saved queries available on the database that the API key may run.', response: 'SavedQueryList', errors: [400, 403] },
+  { method: 'post', path: '/databases/:database/saved-queries/:name/run', summary: 'Run a saved query', description: 'Binds plain parameter values with the declared types; omitted parameters use their defaults. Table scopes and masking apply as for the query route.', body: 'SavedQueryRunRequest', response: 'SavedQueryResult', errors: [400, 403, 404, 500] },
+  { method: 'get', path: '/jobs', summary: 'List the jobs of the API key', response: 'JobList', errors: [] },
+  {
+    method: 'get',
+    path: '/jobs/:id',
+    summary: 'Get job status and a page of its rows',
+    description: 'Rows are returned once the job has succeeded.',
+    query: [
+      { name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+      { name: 'pageSize', schema: { type: 'integer', minimum: 1 } }
+    ],
+    response: 'JobResult',
+    errors: [400, 404]
+  },
+  { method: 'delete', path: '/jobs/:id', summary: 'Cancel a running job or remove a finished one', response: 'Job', errors: [404] },
+  { method: 'delete', path: '/databases/:database/cache', summary: 'Invalidate the metadata cache (admin)', response: 'CacheInvalidation', errors: [400, 403, 500] },
+  {
+    method: 'get',
+    path: '/audit',
+    summary: 'Search the audit log (admin)',
+    query: [
+      { name: 'from', schema: { type: 'string', format: 'date-time' } },
+      { name: 'to', schema: { type: 'string', format: 'date-time' } },
+      { name: 'keyId', schema: { type: 'string' } },
+      { name: 'database', schema: { type: 'string' } },
+      { name: 'outcome', schema: { type: 'string', enum: ['success', 'rejected', 'error', 'aborted'] } },
+      { name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } }
+    ],
+    response: 'AuditSearch',
+    errors: [400, 403, 500]
+  }
+];
+
+/**
+ * Rewrite shorthand { $ref: 'Name' } references into component references
+ * @param {*} schema
+ * @returns {*}
+ */
+function toComponentRefs(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toComponentRefs);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    result[key] = key === '$ref' ? `#/components/schemas/${value}` : toComponentRefs(value);
+  }
+  return result;
+}
+
+/**
+ * JSON response object referencing a component schema
+ * @param {string} description
+ * @param {string} schema - Component schema name
+ * @returns {Object}
+ */
+function jsonResponse(description, schema) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+  };
+}
+
+/**
+ * Build the operation object for a route
+ * @param {Object} route
+ * @returns {Object}
+ */
+function buildOperation(route) {
+  const parameters = (route.path.match(/:(\w+)/g) || []).map(param => pathParameters[param.slice(1)]);
+  for (const param of route.query || []) {
+    parameters.push({ in: 'query', required: false, ...param });
+  }
+
+  const operation = {
+    summary: route.summary,
+    security: [{ ApiKey: [] }],
+    parameters,
+    responses: {}
+  };
+
+  if (route.description) {
+    operation.description = route.description;
+  }
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.body}` } } }
+    };
+  }
+
+  if (route.stream) {
+    operation.responses[200] = {
+      description: 'Streamed rows',
+      content: {
+        'application/x-ndjson': { schema: { type: 'string' } },
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Row' } } }
+      }
+    };
+  } else {
+    operation.responses[route.status || 200] = jsonResponse(route.status === 202 ? 'Accepted' : 'Success', route.response);
+  }
+
+  if (route.cached) {
+    operation.parameters.push({ name: 'If-None-Match', in: 'header', required: false, schema: { type: 'string' } });
+    operation.responses[200].headers = {
+      ETag: { schema: { type: 'string' } },
+      'X-Cache': { schema: { type: 'string', enum: ['HIT', 'MISS', 'BYPASS'] } }
+    };
+    operation.responses[304] = { description: 'Not modified' };
+  }
+
+  // Routes that reach SQL Server can also fail with the database statuses of error-mapper.js
+  const databaseErrors = route.errors.includes(500) ? [408, 409, 503] : [];
+  for (const status of [...new Set([401, ...route.errors, ...databaseErrors, 429])].sort()) {
+    operation.responses[status] = jsonResponse(errorResponses[status], 'Error');
+  }
+
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {string} [serverUrl] - Base URL of the API (e.g. https://host/api/v1)
+ * @returns {Object}
+ */
+function buildOpenApiDocument(serverUrl = '/api/v1') {
+  const paths = {};
+  const published = routes.flatMap(route => route.schemaPath
+    ? [route, { ...route, path: route.path.replace('/databases/:database/', '/databases/:database/schemas/:schema/') }]
+    : [route]);
+
+  for (const route of published) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route);
+  }
+
+  paths['/mcp'] = {
+    post: {
+      summary: 'MCP endpoint (JSON-RPC 2.0)',
+      description: 'Model Context Protocol over Streamable HTTP. Tools dispatch to the routes above with the same key scopes and limits.',
+      security: [{ ApiKey: [] }],
+      requestBody: { required: true, content: { 'application/json': { schema: { type: ['object', 'array'] } } } },
+      responses: {
+        200: { description: 'JSON-RPC response', content: { 'application/json': { schema: { type: ['object', 'array'] } } } },
+        202: { description: 'Notifications accepted' },
+        401: jsonResponse(errorResponses[401], 'Error'),
+        429: jsonResponse(errorResponses[429], 'Error')
+      }
+    }
+  };
+
+  paths['/openapi.json'] = {
+    get: {
+      summary: 'This OpenAPI description',
+      security: [{ ApiKey: [] }],
+      responses: { 200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } } }
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'MSSQL API Gateway',
+      version,
+      description
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ ApiKey: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: toComponentRefs(schemas)
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { validateParameterDefinition } = require('./sql-types');
+const { splitQuery } = require('./middleware/validator');
+
+/**
+ * Pagination helpers
+ * Two modes are supported:
+ *   - offset: { page, pageSize } translated to OFFSET ... FETCH
+ *   - cursor: keyset pagination on the orderBy columns; the opaque cursor carries
+ *     the last row's ordering values and is returned as nextCursor
+ */
+
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE || '1000');
+const DEFAULT_PAGE_SIZE = Math.min(parseInt(process.env.DEFAULT_PAGE_SIZE || '100'), MAX_PAGE_SIZE);
+
+const COLUMN_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_\s]{0,127}$/;
+
+/**
+ * Quote a column name as a bracketed identifier
+ * @param {string} name - Column name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+  return `[${name.replace(/\]/g, ']]')}]`;
+}
+
+/**
+ * Normalize an orderBy definition
+ * Accepts a column name, or an array of column names / { column, dir } objects
+ * @param {*} orderBy - Raw orderBy from the request body
+ * @returns {{valid: boolean, error?: string, orderBy?: Array<{column: string, dir: string}>}}
+ */
+function parseOrderBy(orderBy) {
+  const items = Array.isArray(orderBy) ? orderBy : [orderBy];
+  if (items.length === 0) {
+    return { valid: false, error: 'orderBy must list at least one column' };
+  }
+
+  const result = [];
+  for (const item of items) {
+    const column = typeof item === 'string' ? item : item && item.column;
+    const dir = (item && typeof item === 'object' && item.dir ? String(item.dir) : 'asc').toLowerCase();
+
+    if (typeof column !== 'string' || !COLUMN_PATTERN.test(column)) {
+      return { valid: false, error: `Invalid orderBy column '${column}'` };
+    }
+    if (dir !== 'asc' && dir !== 'desc') {
+      return { valid: false, error: `Invalid orderBy direction '${dir}' (use asc or desc)` };
+    }
+    result.push({ column, dir });
+  }
+
+  return { valid: true, orderBy: result };
+}
+
+/**
+ * Build the ORDER BY clause for an orderBy definition
+ * @param {Array<{column: string, dir: string}>} orderBy
+ * @returns {string}
+ */
+function buildOrderByClause(orderBy) {
+  return orderBy.map(({ column, dir }) => `${quoteIdentifier(column)} ${dir.toUpperCase()}`).join(', ');
+}
+
+/**
+ * Fingerprint the source a cursor was issued for, so it cannot be replayed elsewhere
+ * @param {string} source - Query text or table identifier
+ * @returns {string}
+ */
+function fingerprint(source) {
+  return crypto.createHash('sha256').update(source).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Convert a row value into a typed parameter definition for the keyset predicate
+ * @param {*} value - Row value
+ * @returns {{type: string, value: *}|null} null when the value cannot be used in a cursor
+ */
+function toCursorValue(value) {
+  if (value instanceof Date) {
+    return { type: 'datetime2', value: value.toISOString() };
+  }
+  if (Buffer.isBuffer(value)) {
+    return { type: 'varbinary', length: 'max', value: value.toString('base64') };
+  }
+  switch (typeof value) {
+    case 'boolean':
+      return { type: 'bit', value };
+    case 'number':
+      return Number.isInteger(value) ? { type: 'bigint', value } : { type: 'float', value };
+    case 'string':
+      return { type: 'nvarchar', length: 'max', value };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create the opaque cursor for the row following the current page
+ * @param {string} source - Query text or table identifier
+ * @param {Array<{column: string, dir: string}>} orderBy
+ * @param {Object} row - Last row of the current page
+ * @param {string[]} [keys] - Row property holding each orderBy value (defaults to the column names)
+ * @returns {string}
+ * @throws {Error} If an ordering value is NULL or missing
+ */
+function encodeCursor(source, orderBy, row, keys = orderBy.map(item => item.column)) {
+  const values = keys.map((key, index) => {
+    const value = toCursorValue(row[key]);
+    if (!value) {
+      const error = new Error(`Cursor pagination requires non-null values in orderBy column '${orderBy[index].column}'`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return value;
+  });
+
+  const payload = { f: fingerprint(source), o: orderBy, v: values };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode and verify a cursor
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @param {string} source - Query text or table identifier the cursor must belong to
+ * @returns {{valid: boolean, error?: string, orderBy?: Array, values?: Array}}
+ */
+function decodeCursor(cursor, source) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, error: 'Invalid cursor' };
+  }
+
+  if (!payload || payload.f !== fingerprint(source) || !Array.isArray(payload.v)) {
+    return { valid: false, error: 'Cursor does not belong to this query' };
+  }
+
+  const orderByValidation = parseOrderBy(payload.o);
+  if (!orderByValidation.valid || payload.v.length !== orderByValidation.orderBy.length) {
+    return { valid: false, error: 'Invalid cursor' };
+  }
+
+  for (const value of payload.v) {
+    if (!validateParameterDefinition('cursor', value).valid) {
+      return { valid: false, error: 'Invalid cursor' };
+    }
+  }
+
+  return { valid: true, orderBy: orderByValidation.orderBy, values: payload.v };
+}
+
+/**
+ * Parse pagination options from a request body
+ * Pagination is only enabled when page, pageSize, cursor or mode is present.
+ * @param {Object} body - Request body
+ * @param {string} source - Query text or table identifier (for cursor verification)
+ * @returns {{valid: boolean, error?: string, enabled?: boolean, mode?: string, page?: number,
+ *   pageSize?: number, orderBy?: Array|null, after?: Array|null, includeTotal?: boolean}}
+ */
+function parsePagination(body, source) {
+  const { page, pageSize, cursor, mode, orderBy, includeTotal } = body;
+
+  if (page === undefined && pageSize === undefined && cursor === undefined && mode === undefined) {
+    return { valid: true, enabled: false };
+  }
+
+  const resolvedMode = mode || (cursor !== undefined ? 'cursor' : 'offset');
+  if (resolvedMode !== 'offset' && resolvedMode !== 'cursor') {
+    return { valid: false, error: `Invalid pagination mode '${mode}' (use offset or cursor)` };
+  }
+
+  const size = pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(pageSize);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    return { valid: false, error: `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const result = {
+    valid: true,
+    enabled: true,
+    mode: resolvedMode,
+    pageSize: size,
+    orderBy: null,
+    after: null,
+    includeTotal: includeTotal === true
+  };
+
+  if (orderBy !== undefined) {
+    const orderByValidation = parseOrderBy(orderBy);
+    if (!orderByValidation.valid) {
+      return orderByValidation;
+    }
+    result.orderBy = orderByValidation.orderBy;
+  }
+
+  if (resolvedMode === 'offset') {
+    if (cursor !== undefined) {
+      return { valid: false, error: 'cursor cannot be combined with offset pagination' };
+    }
+    const pageNumber = page === undefined ? 1 : Number(page);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      return { valid: false, error: 'page must be a positive integer' };
+    }
+    result.page = pageNumber;
+    return result;
+  }
+
+  if (page !== undefined) {
+    return { valid: false, error: 'page cannot be combined with cursor pagination' };
+  }
+
+  if (cursor !== undefined && cursor !== null) {
+    const decoded = decodeCursor(cursor, source);
+    if (!decoded.valid) {
+      return decoded;
+    }
+    // The cursor's ordering is authoritative for follow-up pages
+    result.orderBy = decoded.orderBy;
+    result.after = decoded.values;
+  }
+
+  return result;
+}
+
+/**
+ * Build the keyset predicate selecting rows after the cursor position
+ * (a > @c0) OR (a = @c0 AND b > @c1) ... with < for descending columns
+ * @param {Array<{column: string, dir: string}>} orderBy
+ * @param {Array<Object>} values - Typed parameter definitions from the cursor
+ * @param {(column: string) => string} [columnExpression] - Maps a column to its SQL expression
+ * @returns {{clause: string, parameters: Object}}
+ */
+function buildKeysetPredicate(orderBy, values, columnExpression = quoteIdentifier) {
+  const parameters = {};
+  const branches = orderBy.map((item, index) => {
+    const conditions = orderBy.slice(0, index).map((previous, j) => `${columnExpression(previous.column)} = @__cursor${j}`);
+    conditions.push(`${columnExpression(item.column)} ${item.dir === 'desc' ? '<' : '>'} @__cursor${index}`);
+    return `(${conditions.join(' AND ')})`;
+  });
+
+  values.forEach((value, index) => {
+    parameters[`__cursor${index}`] = value;
+  });
+
+  return { clause: `(${branches.join(' OR ')})`, parameters };
+}
+
+/**
+ * Build OFFSET ... FETCH with bound parameters
+ * One extra row is fetched so hasMore can be determined.
+ * @param {Object} pagination - Result of parsePagination
+ * @returns {{clause: string, parameters: Object}}
+ */
+function buildOffsetFetch(pagination) {
+  const offset = pagination.mode === 'offset' ? (pagination.page - 1) * pagination.pageSize : 0;
+  return {
+    clause: 'OFFSET @__pageOffset ROWS FETCH NEXT @__pageFetch ROWS ONLY',
+    parameters: {
+      __pageOffset: { type: 'int', value: offset },
+      __pageFetch: { type: 'int', value: pagination.pageSize + 1 }
+    }
+  };
+}
+
+/**
+ * Trim the extra row and build the pagination part of a response
+ * @param {Array<Object>} rows - Rows fetched with buildOffsetFetch (pageSize + 1 at most)
+ * @param {Object} pagination - Result of parsePagination
+ * @param {string} source - Query text or table identifier
+ * @param {string[]} [cursorKeys] - Row property holding each orderBy value
+ * @returns {{rows: Array<Object>, meta: Object}}
+ */
+function paginateRows(rows, pagination, source, cursorKeys) {
+  const hasMore = rows.length > pagination.pageSize;
+  const pageRows = hasMore ? rows.slice(0, pagination.pageSize) : rows;
+  const meta = { mode: pagination.mode, pageSize: pagination.pageSize, hasMore };
+
+  if (pagination.mode === 'offset') {
+    meta.page = pagination.page;
+  } else {
+    meta.nextCursor = hasMore
+      ? encodeCursor(source, pagination.orderBy, pageRows[pageRows.length - 1], cursorKeys)
+      : null;
+  }
+
+  return { rows: pageRows, meta };
+}
+
+/**
+ * Build the paged form of a validated free-form query
+ * With orderBy (always the case for cursor mode) the query is wrapped in a derived
+ * table so ordering and the keyset predicate apply to its result columns; otherwise
+ * OFFSET ... FETCH is appended to the query's own ORDER BY.
+ * @param {string} query - SQL query (already validated)
+ * @param {Object} pagination - Result of parsePagination
+ * @returns {{valid: boolean, error?: string, query?: string, parameters?: Object, countQuery?: string}}
+ */
+function buildPagedQuery(query, pagination) {
+  const parts = splitQuery(query);
+
+  if (parts.hasFetch) {
+    return { valid: false, error: 'Queries that already use OFFSET/FETCH cannot be paginated' };
+  }
+  if (pagination.mode === 'cursor' && !pagination.orderBy) {
+    return { valid: false, error: 'Cursor pagination requires orderBy' };
+  }
+
+  // TOP n ... ORDER BY must keep its ordering inside the derived table
+  const inner = parts.hasTop && parts.orderBy ? `${parts.body} ORDER BY ${parts.orderBy}` : parts.body;
+  const countQuery = `${parts.prefix}SELECT COUNT(*) AS total FROM (\n${inner}\n) AS counted_result`;
+  const fetch = buildOffsetFetch(pagination);
+
+  if (pagination.orderBy) {
+    const parameters = { ...fetch.parameters };
+    let where = '';
+    if (pagination.after) {
+      const keyset = buildKeysetPredicate(pagination.orderBy, pagination.after);
+      where = ` WHERE ${keyset.clause}`;
+      Object.assign(parameters, keyset.parameters);
+    }
+
+    return {
+      valid: true,
+      query: `${parts.prefix}SELECT * FROM (\n${inner}\n) AS paged_result${where} ORDER BY ${buildOrderByClause(pagination.orderBy)} ${fetch.clause}`,
+      parameters,
+      countQuery
+    };
+  }
+
+  if (!parts.orderBy) {
+    return { valid: false, error: 'Offset pagination requires an ORDER BY clause in the query or orderBy' };
+  }
+  if (parts.hasTop) {
+    return { valid: false, error: 'Queries using TOP require orderBy for pagination' };
+  }
+
+  return {
+    valid: true,
+    query: `${parts.prefix}${parts.body} ORDER BY ${parts.orderBy} ${fetch.clause}`,
+    parameters: fetch.parameters,
+    countQuery
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  DEFAULT_PAGE_SIZE,
+  quoteIdentifier,
+  parsePagination,
+  buildOrderByClause,
+  buildKeysetPredicate,
+  buildOffsetFetch,
+  buildPagedQuery,
+  paginateRows
+};
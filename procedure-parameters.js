@@ -0,0 +1,166 @@
+const { significantTokens } = require('./sql-lexer');
+const { isSupportedType, validateParameterDefinition, typeFromMetadata } = require('./sql-types');
+
+/**
+ * Stored procedure parameter binding
+ * Request values are matched against the procedure's INFORMATION_SCHEMA.PARAMETERS rows
+ * and bound with the declared SQL type; INOUT (OUTPUT) parameters are registered as outputs.
+ */
+
+/**
+ * Find which parameters declare a default value in a procedure or function definition
+ * The catalog does not expose defaults for T-SQL modules, so the parameter list of the
+ * CREATE PROCEDURE / CREATE FUNCTION header is read with the lexer.
+ * @param {string|null} definition - Module source (ROUTINE_DEFINITION or sys.sql_modules.definition)
+ * @returns {Set<string>|null} Lowercase names (without @) of parameters with a default,
+ *   or null when the header cannot be read (encrypted or truncated definitions)
+ */
+function parseParameterDefaults(definition) {
+  if (typeof definition !== 'string' || definition.length === 0) {
+    return null;
+  }
+
+  let tokens;
+  try {
+    tokens = significantTokens(definition);
+  } catch {
+    return null;
+  }
+
+  const isWord = (token, ...words) => token && token.type === 'keyword' && words.includes(token.upper);
+  const isPunct = (token, value) => token && token.type === 'punctuation' && token.value === value;
+
+  // CREATE [OR ALTER] | ALTER  PROC[EDURE] | FUNCTION  name
+  let i = tokens.findIndex(token => isWord(token, 'PROC', 'PROCEDURE', 'FUNCTION'));
+  if (i === -1) {
+    return null;
+  }
+  i++;
+
+  // Skip the (possibly schema-qualified) name and an optional ;number suffix
+  while (tokens[i] && (tokens[i].type === 'keyword' || tokens[i].type === 'identifier')) {
+    i++;
+    if (!isPunct(tokens[i], '.')) break;
+    i++;
+  }
+  if (isPunct(tokens[i], ';') && tokens[i + 1] && tokens[i + 1].type === 'number') {
+    i += 2;
+  }
+
+  // The parameter list may be wrapped in parentheses
+  let baseDepth = 0;
+  if (isPunct(tokens[i], '(')) {
+    baseDepth = 1;
+    i++;
+  }
+
+  const defaults = new Set();
+  let depth = baseDepth;
+  let current = null;
+
+  for (; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (isPunct(token, '(')) {
+      depth++;
+      continue;
+    }
+    if (isPunct(token, ')')) {
+      depth--;
+      if (depth < baseDepth) break;
+      continue;
+    }
+    if (depth !== baseDepth) {
+      continue;
+    }
+
+    if (token.type === 'variable' && (current === null || isPunct(tokens[i - 1], ','))) {
+      current = token.name.toLowerCase();
+    } else if (isWord(token, 'AS', 'WITH', 'FOR') && !(tokens[i - 1] && tokens[i - 1].type === 'variable')) {
+      // End of the parameter list
+      break;
+    } else if (token.type === 'operator' && token.value === '=' && current !== null) {
+      defaults.add(current);
+    }
+  }
+
+  return defaults;
+}
+
+/**
+ * Match request values to a procedure's declared parameters
+ * @param {string} procedure - Procedure name (for error messages)
+ * @param {Array<Object>} declared - INFORMATION_SCHEMA.PARAMETERS rows
+ *   (PARAMETER_NAME, DATA_TYPE, PARAMETER_MODE, CHARACTER_MAXIMUM_LENGTH, NUMERIC_PRECISION, NUMERIC_SCALE, DATETIME_PRECISION)
+ * @param {Set<string>|null} defaults - Parameters with a default (see parseParameterDefaults); null skips the required check
+ * @param {Object} values - Request values keyed by parameter name, with or without @
+ * @returns {{valid: boolean, error?: string, bindings?: Object}} bindings keyed by name without @:
+ *   { type, length?, precision?, scale?, value, output? }
+ */
+function bindProcedureParameters(procedure, declared, defaults, values) {
+  const byName = new Map();
+  for (const parameter of declared) {
+    // Functions report their return value as a parameter without a name
+    if (!parameter.PARAMETER_NAME) continue;
+    byName.set(parameter.PARAMETER_NAME.replace(/^@/, '').toLowerCase(), parameter);
+  }
+
+  const supplied = new Map();
+  for (const [key, value] of Object.entries(values || {})) {
+    const name = key.replace(/^@/, '').toLowerCase();
+    if (!byName.has(name)) {
+      return { valid: false, error: `Unknown parameter '@${key.replace(/^@/, '')}' for stored procedure '${procedure}'` };
+    }
+    if (supplied.has(name)) {
+      return { valid: false, error: `Parameter '@${key.replace(/^@/, '')}' is supplied more than once` };
+    }
+    supplied.set(name, value);
+  }
+
+  const bindings = {};
+  for (const [lowerName, parameter] of byName) {
+    const name = parameter.PARAMETER_NAME.replace(/^@/, '');
+    const output = parameter.PARAMETER_MODE === 'INOUT' || parameter.PARAMETER_MODE === 'OUT';
+    const hasValue = supplied.has(lowerName);
+
+    if (!hasValue && !output) {
+      if (defaults && !defaults.has(lowerName)) {
+        return { valid: false, error: `Missing required parameter '@${name}' for stored procedure '${procedure}'` };
+      }
+      // Omitted parameters fall back to the procedure's default
+      continue;
+    }
+
+    if (!isSupportedType(parameter.DATA_TYPE)) {
+      return { valid: false, error: `Parameter '@${name}' has type '${parameter.DATA_TYPE}', which cannot be bound by the gateway` };
+    }
+
+    const definition = {
+      ...typeFromMetadata({
+        type: parameter.DATA_TYPE,
+        maxLength: parameter.CHARACTER_MAXIMUM_LENGTH,
+        numericPrecision: parameter.NUMERIC_PRECISION,
+        numericScale: parameter.NUMERIC_SCALE,
+        datetimePrecision: parameter.DATETIME_PRECISION
+      }),
+      value: hasValue ? supplied.get(lowerName) : null
+    };
+
+    const validation = validateParameterDefinition(name, definition);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    if (output) {
+      definition.output = true;
+    }
+    bindings[name] = definition;
+  }
+
+  return { valid: true, bindings };
+}
+
+module.exports = {
+  parseParameterDefaults,
+  bindProcedureParameters
+};
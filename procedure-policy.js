@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { patternToRegex, matchesName } = require('./key-registry');
+
+/**
+ * Stored procedure execution policy
+ * Loaded from the JSON/YAML file named by PROCEDURE_POLICY_FILE. Each database lists
+ * the procedures (names or wildcard patterns) that may be executed, classified as
+ * readonly or write. Patterns match the bare or schema-qualified (schema.name) procedure
+ * name. The first matching rule wins; everything else is denied.
+ *
+ *   databases:
+ *     Common:
+ *       - { name: GetOrders, tags: [readonly] }
+ *       - { name: 'Report_*', tags: [readonly] }
+ *       - { name: UpdateOrderStatus, tags: [write] }
+ *
+ * Without PROCEDURE_POLICY_FILE no procedure can be executed.
+ */
+
+const CLASSIFICATIONS = ['readonly', 'write'];
+
+/**
+ * Normalize one procedure rule
+ * @param {string|Object} rule - Procedure name/pattern, or { name, tags }
+ * @param {string} label - Rule label used in error messages
+ * @returns {{name: string, pattern: RegExp, tags: string[], classification: string}}
+ */
+function normalizeRule(rule, label) {
+  const entry = typeof rule === 'string' ? { name: rule } : rule;
+  if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || !entry.name) {
+    throw new Error(`${label} requires a procedure name or pattern`);
+  }
+
+  const tags = entry.tags === undefined ? [] : entry.tags;
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+    throw new Error(`${label} tags must be an array of strings`);
+  }
+
+  const classifications = tags.filter(tag => CLASSIFICATIONS.includes(tag));
+  if (classifications.length > 1) {
+    throw new Error(`${label} cannot be tagged both readonly and write`);
+  }
+
+  // Unclassified procedures are treated as writes
+  return {
+    name: entry.name,
+    pattern: patternToRegex(entry.name),
+    tags,
+    classification: classifications[0] || 'write'
+  };
+}
+
+/**
+ * Load the policy file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Array<{database: RegExp, rules: Array<Object>}>}
+ */
+function loadPolicyFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const data = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+
+  if (!data || typeof data.databases !== 'object' || Array.isArray(data.databases)) {
+    throw new Error(`Procedure policy '${filePath}' must contain a "databases" object`);
+  }
+
+  return Object.entries(data.databases).map(([database, rules]) => {
+    if (!Array.isArray(rules)) {
+      throw new Error(`Procedure policy for database '${database}' must be an array of rules`);
+    }
+    return {
+      database: patternToRegex(database),
+      rules: rules.map((rule, index) => normalizeRule(rule, `Procedure policy rule #${index + 1} of '${database}'`))
+    };
+  });
+}
+
+const policy = process.env.PROCEDURE_POLICY_FILE
+  ? loadPolicyFile(path.resolve(process.env.PROCEDURE_POLICY_FILE))
+  : [];
+
+/**
+ * Find the policy rule for a procedure
+ * @param {string} database - Database name
+ * @param {string} procedure - Stored procedure name (schema.name)
+ * @returns {Object|null} Matching rule ({ name, tags, classification }), or null when denied
+ */
+function findRule(database, procedure) {
+  for (const entry of policy) {
+    if (!entry.database.test(database)) continue;
+    const rule = entry.rules.find(candidate => matchesName(candidate.pattern, procedure));
+    if (rule) return rule;
+  }
+  return null;
+}
+
+/**
+ * Check whether a procedure may be executed with an API key
+ * Write procedures additionally require a key with writeProcedures (or an admin key).
+ * @param {Object} key - Key entry attached to the request (req.apiKey)
+ * @param {string} database - Database name
+ * @param {string} procedure - Stored procedure name
+ * @returns {{allowed: boolean, error?: string, classification?: string, tags?: string[]}}
+ */
+function checkExecutionPolicy(key, database, procedure) {
+  const rule = findRule(database, procedure);
+  if (!rule) {
+    return { allowed: false, error: `Stored procedure '${procedure}' is not allowed by the execution policy of database '${database}'` };
+  }
+
+  if (rule.classification === 'write' && !(key && (key.admin || key.writeProcedures))) {
+    return { allowed: false, error: `API key is not allowed to execute write procedure '${procedure}'` };
+  }
+
+  return { allowed: true, classification: rule.classification, tags: rule.tags };
+}
+
+/**
+ * Describe the policy of a procedure for metadata responses
+ * @param {string} database - Database name
+ * @param {string} procedure - Stored procedure name
+ * @returns {{executable: boolean, classification: string|null, tags: string[]}}
+ */
+function describePolicy(database, procedure) {
+  const rule = findRule(database, procedure);
+  return rule
+    ? { executable: true, classification: rule.classification, tags: rule.tags }
+    : { executable: false, classification: null, tags: [] };
+}
+
+module.exports = {
+  checkExecutionPolicy,
+  describePolicy
+};
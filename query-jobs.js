@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const { createJobRequest } = require('./db-connector');
+const { planMasking, applyMasking, describeMasking } = require('./masking-policy');
+const { recordQuery } = require('./metrics');
+const { gatewayError, mapError } = require('./error-mapper');
+const logger = require('./logger');
+
+/**
+ * Asynchronous query jobs
+ * Jobs run a validated SELECT on the job pool of a database (see db-connector.js) and keep
+ * the (masked) rows in memory until they expire. Jobs belong to the API key that submitted
+ * them; other keys cannot see or cancel them.
+ *
+ * Status: queued -> running -> succeeded | failed | cancelled | timeout
+ */
+
+const DEFAULT_TIMEOUT = parseInt(process.env.JOB_DEFAULT_TIMEOUT || '120');
+const MAX_TIMEOUT = parseInt(process.env.JOB_MAX_TIMEOUT || '600');
+const MAX_ROWS = parseInt(process.env.JOB_MAX_ROWS || '100000');
+const RETENTION_MS = parseInt(process.env.JOB_RETENTION || '3600') * 1000;
+const MAX_JOBS_PER_KEY = parseInt(process.env.JOB_MAX_PER_KEY || '20');
+const MAX_ACTIVE_JOBS_PER_KEY = parseInt(process.env.JOB_MAX_ACTIVE_PER_KEY || '2');
+
+// id -> job
+const jobs = new Map();
+
+// Drop expired jobs and their results
+setInterval(purgeExpired, 60 * 1000).unref();
+
+/**
+ * Remove finished jobs whose retention has passed
+ */
+function purgeExpired() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expiresAt !== null && job.expiresAt <= now) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Whether a job is still queued or running
+ * @param {Object} job
+ * @returns {boolean}
+ */
+function isActive(job) {
+  return job.finishedAt === null;
+}
+
+/**
+ * Move a job to a final status (the first final status wins)
+ * @param {Object} job
+ * @param {string} status - succeeded, failed, cancelled or timeout
+ * @param {string} [error] - Error message
+ */
+function finish(job, status, error) {
+  if (!isActive(job)) return;
+
+  clearTimeout(job.timer);
+  job.status = status;
+  job.error = error || null;
+  job.finishedAt = Date.now();
+  job.expiresAt = job.finishedAt + RETENTION_MS;
+
+  if (job.startedAt !== null) {
+    const failed = status === 'failed' || status === 'timeout';
+    recordQuery(job.database, 'job', (job.finishedAt - job.startedAt) / 1000, failed ? null : job.rows.length);
+  }
+
+  // Stop reading from SQL Server when the job ends early
+  if (job.request && status !== 'succeeded' && status !== 'failed') {
+    job.request.cancel();
+  }
+  job.request = null;
+}
+
+/**
+ * Fail a job with the mapped message and code of an error
+ * @param {Object} job
+ * @param {Error} error
+ */
+function fail(job, error) {
+  if (!isActive(job)) return;
+  const { status, code, message } = mapError(error);
+  if (status >= 500) {
+    logger.error('query job failed', { jobId: job.id, database: job.database, code, error: logger.serializeError(error) });
+  }
+  job.errorCode = code;
+  finish(job, 'failed', message);
+}
+
+/**
+ * Make room for a new job of an API key
+ * Evicts the oldest finished jobs above JOB_MAX_PER_KEY.
+ * @param {string} keyId - API key id
+ * @throws {Error} 429 when the key has too many active or stored jobs
+ */
+function reserveSlot(keyId) {
+  const owned = [...jobs.values()].filter(job => job.keyId === keyId);
+
+  if (owned.filter(isActive).length >= MAX_ACTIVE_JOBS_PER_KEY) {
+    throw gatewayError(429, 'job_limit_exceeded', `API key already has ${MAX_ACTIVE_JOBS_PER_KEY} running jobs; wait for one to finish or cancel it`);
+  }
+
+  const finished = owned.filter(job => !isActive(job)).sort((a, b) => a.finishedAt - b.finishedAt);
+  let excess = owned.length - MAX_JOBS_PER_KEY + 1;
+  while (excess > 0 && finished.length > 0) {
+    jobs.delete(finished.shift().id);
+    excess--;
+  }
+  if (excess > 0) {
+    throw gatewayError(429, 'job_limit_exceeded', `API key already has ${MAX_JOBS_PER_KEY} jobs`);
+  }
+}
+
+/**
+ * Run a job's query on the job pool and collect its rows
+ * @param {Object} job
+ * @param {Object} parameters - Validated bindings
+ */
+async function run(job, parameters) {
+  let request;
+  try {
+    request = await createJobRequest(job.database, parameters);
+  } catch (error) {
+    fail(job, error);
+    return;
+  }
+
+  // Cancelled or timed out while waiting for a connection
+  if (!isActive(job)) return;
+
+  job.request = request;
+  job.status = 'running';
+  job.startedAt = Date.now();
+
+  let plan = [];
+
+  request.on('recordset', columns => {
+    // Only the first result set is kept
+    if (job.columns) return;
+
+    const names = Object.values(columns)
+      .sort((a, b) => a.index - b.index)
+      .map(column => column.name);
+    plan = planMasking(job.database, job.sourceTables, names);
+    const dropped = plan.filter(({ rule }) => rule.action === 'drop').map(({ column }) => column);
+    job.columns = names.filter(name => !dropped.includes(name));
+    job.masking = describeMasking(plan);
+  });
+
+  request.on('row', row => {
+    if (!isActive(job)) return;
+
+    if (job.rows.length >= job.maxRows) {
+      // Queries with their own TOP can exceed maxRows
+      job.truncated = true;
+      request.cancel();
+      finish(job, 'succeeded');
+      return;
+    }
+    job.rows.push(applyMasking(plan, row));
+  });
+
+  request.on('error', error => fail(job, error));
+  request.on('done', () => finish(job, 'succeeded'));
+
+  // In stream mode errors are reported through the 'error' event
+  request.query(job.query);
+}
+
+/**
+ * Submit a query job
+ * @param {Object} options
+ * @param {string} options.keyId - Submitting API key id
+ * @param {string} options.database - Database name
+ * @param {string} options.query - Validated query (with its row limit applied)
+ * @param {Object} options.parameters - Validated bindings
+ * @param {string[]} options.sourceTables - Tables the query reads (for masking)
+ * @param {number} options.timeoutSeconds - Job timeout (queue and run time)
+ * @param {number} options.maxRows - Row limit
+ * @returns {Object} The job
+ * @throws {Error} 429 when the key has too many jobs
+ */
+function submitJob({ keyId, database, query, parameters, sourceTables, timeoutSeconds, maxRows }) {
+  purgeExpired();
+  reserveSlot(keyId);
+
+  const job = {
+    id: crypto.randomUUID(),
+    keyId,
+    database,
+    query,
+    sourceTables,
+    status: 'queued',
+    timeoutSeconds,
+    maxRows,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    columns: null,
+    masking: [],
+    rows: [],
+    truncated: false,
+    error: null,
+    errorCode: null,
+    request: null,
+    timer: null
+  };
+
+  job.timer = setTimeout(() => finish(job, 'timeout', `Job exceeded its timeout of ${timeoutSeconds}s`), timeoutSeconds * 1000);
+  job.timer.unref();
+  jobs.set(job.id, job);
+
+  run(job, parameters);
+  return job;
+}
+
+/**
+ * Get a job of an API key
+ * @param {string} keyId - API key id
+ * @param {string} id - Job id
+ * @returns {Object|null} null when the job does not exist or belongs to another key
+ */
+function getJob(keyId, id) {
+  purgeExpired();
+  const job = jobs.get(id);
+  return job && job.keyId === keyId ? job : null;
+}
+
+/**
+ * List the jobs of an API key, newest first
+ * @param {string} keyId - API key id
+ * @returns {Array<Object>}
+ */
+function listJobs(keyId) {
+  purgeExpired();
+  return [...jobs.values()]
+    .filter(job => job.keyId === keyId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Cancel an active job
+ * @param {Object} job
+ * @returns {boolean} false when the job had already finished
+ */
+function cancelJob(job) {
+  if (!isActive(job)) return false;
+  finish(job, 'cancelled', 'Job was cancelled');
+  return true;
+}
+
+/**
+ * Remove a finished job and its results
+ * @param {Object} job
+ */
+function deleteJob(job) {
+  jobs.delete(job.id);
+}
+
+/**
+ * Describe a job for responses
+ * @param {Object} job
+ * @returns {Object}
+ */
+function describeJob(job) {
+  const time = value => (value === null ? null : new Date(value).toISOString());
+  return {
+    id: job.id,
+    database: job.database,
+    status: job.status,
+    createdAt: time(job.createdAt),
+    startedAt: time(job.startedAt),
+    finishedAt: time(job.finishedAt),
+    expiresAt: time(job.expiresAt),
+    timeoutSeconds: job.timeoutSeconds,
+    maxRows: job.maxRows,
+    rowCount: job.rows.length,
+    truncated: job.truncated,
+    columns: job.columns,
+    masking: job.masking,
+    error: job.error,
+    errorCode: job.errorCode
+  };
+}
+
+/**
+ * Get the configured job limits
+ * @returns {{defaultTimeout: number, maxTimeout: number, maxRows: number}}
+ */
+function getJobLimits() {
+  return { defaultTimeout: DEFAULT_TIMEOUT, maxTimeout: MAX_TIMEOUT, maxRows: MAX_ROWS };
+}
+
+module.exports = {
+  submitJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  deleteJob,
+  describeJob,
+  isActive,
+  getJobLimits
+};
@@ -0,0 +1,193 @@
+/**
+ * Estimated execution plan summaries
+ * Reads the SHOWPLAN_XML document returned by SQL Server and reduces it to the plan
+ * operators with their estimated rows and costs, plus plan warnings. Also implements the
+ * optional cost guard of the query route (QUERY_MAX_ESTIMATED_COST / QUERY_MAX_ESTIMATED_ROWS).
+ */
+
+// 0 disables a threshold
+const MAX_ESTIMATED_COST = parseFloat(process.env.QUERY_MAX_ESTIMATED_COST || '0');
+const MAX_ESTIMATED_ROWS = parseFloat(process.env.QUERY_MAX_ESTIMATED_ROWS || '0');
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Decode the XML entities of an attribute value
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value.replace(/&(lt|gt|amp|quot|apos|#x[0-9a-fA-F]+|#\d+);/g, (match, entity) => {
+    if (entity[0] !== '#') return ENTITIES[entity];
+    return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  });
+}
+
+/**
+ * Parse the attributes of an XML start tag
+ * @param {string} text - Attribute part of the tag
+ * @returns {Object} Attribute values keyed by name
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Read a number attribute
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === undefined) return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Remove the brackets of a showplan object name ([dbo] -> dbo)
+ * @param {string|undefined} name
+ * @returns {string|null}
+ */
+function unbracket(name) {
+  if (!name) return null;
+  return name.replace(/^\[(.*)\]$/, '$1').replace(/\]\]/g, ']');
+}
+
+/**
+ * Summarize a SHOWPLAN_XML document
+ * @param {string} xml - Showplan XML
+ * @returns {{estimatedCost: number, estimatedRows: number, maxOperatorRows: number,
+ *   operators: Array<Object>, warnings: string[], missingIndexes: number}}
+ *   operators are listed in plan order with their depth and parent node id
+ */
+function summarizePlan(xml) {
+  const summary = {
+    estimatedCost: 0,
+    estimatedRows: 0,
+    maxOperatorRows: 0,
+    operators: [],
+    warnings: [],
+    missingIndexes: 0
+  };
+
+  // Open RelOp elements (innermost last); other elements only matter while open
+  const relOps = [];
+  const open = [];
+  const warnings = new Set();
+
+  for (const [, closing, name, attributeText, selfClosing] of xml.matchAll(/<(\/?)([\w:]+)((?:\s+[\w:]+\s*=\s*"[^"]*")*)\s*(\/?)>/g)) {
+    const tag = name.replace(/^.*:/, '');
+
+    if (closing) {
+      const index = open.lastIndexOf(tag);
+      if (index !== -1) open.length = index;
+      if (tag === 'RelOp') relOps.pop();
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeText);
+    const current = relOps[relOps.length - 1];
+
+    switch (tag) {
+      case 'StmtSimple':
+        summary.estimatedCost += toNumber(attributes.StatementSubTreeCost) || 0;
+        summary.estimatedRows += toNumber(attributes.StatementEstRows) || 0;
+        break;
+      case 'RelOp': {
+        const operator = {
+          nodeId: toNumber(attributes.NodeId),
+          parentId: current ? current.nodeId : null,
+          depth: relOps.length,
+          physicalOp: attributes.PhysicalOp,
+          logicalOp: attributes.LogicalOp,
+          estimatedRows: toNumber(attributes.EstimateRows),
+          estimatedCost: toNumber(attributes.EstimatedTotalSubtreeCost),
+          estimatedIO: toNumber(attributes.EstimateIO),
+          estimatedCPU: toNumber(attributes.EstimateCPU),
+          object: null
+        };
+        summary.operators.push(operator);
+        summary.maxOperatorRows = Math.max(summary.maxOperatorRows, operator.estimatedRows || 0);
+        if (!selfClosing) relOps.push(operator);
+        break;
+      }
+      case 'Object':
+        // The table or index read by the innermost open operator
+        if (current && !current.object && attributes.Table) {
+          current.object = {
+            schema: unbracket(attributes.Schema),
+            table: unbracket(attributes.Table),
+            index: unbracket(attributes.Index)
+          };
+        }
+        break;
+      case 'Warnings':
+        for (const [warning, value] of Object.entries(attributes)) {
+          if (value === 'true' || value === '1') warnings.add(warning);
+        }
+        break;
+      case 'MissingIndexGroup':
+        summary.missingIndexes++;
+        break;
+      default:
+        // Warning details are child elements of Warnings (SpillToTempDb, PlanAffectingConvert, ...)
+        if (open[open.length - 1] === 'Warnings') warnings.add(tag);
+    }
+
+    if (!selfClosing) open.push(tag);
+  }
+
+  summary.warnings = [...warnings];
+  return summary;
+}
+
+/**
+ * Check a plan summary against the cost guard thresholds
+ * @param {Object} summary - Result of summarizePlan
+ * @returns {{allowed: boolean, error?: string}}
+ */
+function checkCostGuard(summary) {
+  if (MAX_ESTIMATED_COST > 0 && summary.estimatedCost > MAX_ESTIMATED_COST) {
+    return {
+      allowed: false,
+      error: `Estimated query cost ${summary.estimatedCost.toFixed(2)} exceeds the limit of ${MAX_ESTIMATED_COST}`
+    };
+  }
+  if (MAX_ESTIMATED_ROWS > 0 && summary.maxOperatorRows > MAX_ESTIMATED_ROWS) {
+    return {
+      allowed: false,
+      error: `Estimated row count ${Math.round(summary.maxOperatorRows)} exceeds the limit of ${MAX_ESTIMATED_ROWS}`
+    };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Whether the query route checks estimated plans before running queries
+ * @returns {boolean}
+ */
+function isCostGuardEnabled() {
+  return MAX_ESTIMATED_COST > 0 || MAX_ESTIMATED_ROWS > 0;
+}
+
+/**
+ * Get the configured cost guard thresholds
+ * @returns {{maxEstimatedCost: number|null, maxEstimatedRows: number|null}} null when disabled
+ */
+function getCostGuardLimits() {
+  return {
+    maxEstimatedCost: MAX_ESTIMATED_COST > 0 ? MAX_ESTIMATED_COST : null,
+    maxEstimatedRows: MAX_ESTIMATED_ROWS > 0 ? MAX_ESTIMATED_ROWS : null
+  };
+}
+
+module.exports = {
+  summarizePlan,
+  checkCostGuard,
+  isCostGuardEnabled,
+  getCostGuardLimits
+};
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { search } = require('../audit-log');
+const { checkAdminAccess } = require('../key-registry');
+const { gatewayError, sendError } = require('../error-mapper');
+
+const OUTCOMES = ['success', 'rejected', 'error', 'aborted'];
+const FILTERS = ['from', 'to', 'keyId', 'database', 'outcome', 'limit'];
+
+/**
+ * Parse an optional ISO 8601 timestamp query parameter
+ * @param {string} value - Raw query string value
+ * @returns {{valid: boolean, date?: Date|null}}
+ */
+function parseTimestamp(value) {
+  if (value === undefined) {
+    return { valid: true, date: null };
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? { valid: false } : { valid: true, date: new Date(time) };
+}
+
+/**
+ * GET /audit
+ * Search the audit log (admin keys only)
+ * Query: from, to (ISO 8601), keyId, database, outcome, limit (1-1000, default 100)
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const adminAccess = checkAdminAccess(req.apiKey);
+    if (!adminAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', adminAccess.error));
+    }
+
+    // Repeated (?database=a&database=b) or nested (?database[x]=a) filters are not strings
+    const invalidFilter = FILTERS.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+    if (invalidFilter) {
+      return sendError(res, gatewayError(400, 'validation_error', `${invalidFilter} must be given once as a single value`));
+    }
+
+    const { keyId, database, outcome, limit = '100' } = req.query;
+
+    const from = parseTimestamp(req.query.from);
+    const to = parseTimestamp(req.query.to);
+    if (!from.valid || !to.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', 'from and to must be ISO 8601 timestamps'));
+    }
+
+    if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+      return sendError(res, gatewayError(400, 'validation_error', `Invalid outcome '${outcome}'. Allowed: ${OUTCOMES.join(', ')}`));
+    }
+
+    const safeLimit = parseInt(limit);
+    if (!Number.isInteger(safeLimit) || safeLimit < 1 || safeLimit > 1000) {
+      return sendError(res, gatewayError(400, 'validation_error', 'limit must be an integer between 1 and 1000'));
+    }
+
+    const entries = await search({
+      from: from.date,
+      to: to.date,
+      keyId,
+      database,
+      outcome,
+      limit: safeLimit
+    });
+
+    res.json({
+      entries,
+      count: entries.length
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
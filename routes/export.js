@@ -0,0 +1,300 @@
+const express = require('express');
+const router = express.Router();
+const { createStreamingRequest } = require('../db-connector');
+const { validateQuery, applyRowLimit, validateDatabaseName, extractTableReferences, validateQueryParameters } = require('../middleware/validator');
+const { checkDatabaseAccess, checkAdHocQueryAccess, checkTableAccess } = require('../key-registry');
+const { setAuditContext } = require('../audit-log');
+const { validateBody } = require('../api-schemas');
+const { planMasking, applyMasking, describeMasking, checkQueryMasking } = require('../masking-policy');
+const { recordQuery } = require('../metrics');
+const { remainingDailyRows } = require('../middleware/rate-limit');
+const logger = require('../logger');
+const { gatewayError, sendError } = require('../error-mapper');
+
+// Row ceiling for exports (separate from the 1000-row cap of the query route)
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS || '100000');
+
+const FORMATS = {
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Convert a column value into a JSON-safe value
+ * @param {*} value
+ * @returns {*}
+ */
+function toJsonValue(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.toString('base64');
+  }
+  return value;
+}
+
+/**
+ * Format a value as a CSV field
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Buffer.isBuffer(value)) {
+    text = value.toString('base64');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create the chunk writer for an export format
+ * @param {string} format - ndjson, csv or json
+ * @param {string[]} columns - Column names in result order
+ * @returns {{start: string, row: (row: Object, index: number) => string, end: string}}
+ */
+function createFormatter(format, columns) {
+  const pick = row => {
+    const result = {};
+    for (const column of columns) {
+      result[column] = toJsonValue(row[column]);
+    }
+    return result;
+  };
+
+  switch (format) {
+    case 'csv':
+      return {
+        start: `${columns.map(toCsvField).join(',')}\r\n`,
+        row: row => `${columns.map(column => toCsvField(row[column])).join(',')}\r\n`,
+        end: ''
+      };
+    case 'json':
+      return {
+        start: '[',
+        row: (row, index) => `${index === 0 ? '' : ','}\n${JSON.stringify(pick(row))}`,
+        end: '\n]\n'
+      };
+    default:
+      return {
+        start: '',
+        row: row => `${JSON.stringify(pick(row))}\n`,
+        end: ''
+      };
+  }
+}
+
+// Record the target database for the audit log
+router.param('database', (req, res, next, database) => {
+  setAuditContext(res, { database });
+  next();
+});
+
+/**
+ * POST /databases/:database/export
+ * Stream the result of a SELECT query as NDJSON, CSV or a JSON array
+ * Body: { query, parameters?, format?: "ndjson" | "csv" | "json", maxRows? }
+ * Rows are written as they arrive from SQL Server; the request is paused while the
+ * client is not reading. maxRows defaults to and is capped at EXPORT_MAX_ROWS; it must also
+ * fit in the key's remaining daily row budget (which also caps the default).
+ * Masked columns are listed in the X-Masked-Columns header.
+ */
+router.post('/databases/:database/export', validateBody('ExportRequest'), async (req, res) => {
+  let request = null;
+
+  try {
+    const { database } = req.params;
+    const { query, parameters = {}, format = 'ndjson' } = req.body;
+
+    // Validate database name
+    const dbValidation = validateDatabaseName(database);
+    if (!dbValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    // Keys restricted to saved queries cannot run their own SQL
+    const adHocAccess = checkAdHocQueryAccess(req.apiKey);
+    if (!adHocAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', adHocAccess.error));
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+      return sendError(res, gatewayError(400, 'validation_error', `Invalid format '${format}'. Supported formats: ${Object.keys(FORMATS).join(', ')}`));
+    }
+
+    // Exported rows count against the daily row budget, so an omitted maxRows is limited to
+    // what is left of it
+    const rowBudget = remainingDailyRows(req.apiKey);
+    if (rowBudget === 0) {
+      return sendError(res, gatewayError(429, 'limit_exceeded', 'Daily row budget exhausted'));
+    }
+
+    const rowLimit = Number(req.body.maxRows === undefined ? Math.min(EXPORT_MAX_ROWS, rowBudget) : req.body.maxRows);
+    if (!Number.isInteger(rowLimit) || rowLimit < 1 || rowLimit > EXPORT_MAX_ROWS) {
+      return sendError(res, gatewayError(400, 'validation_error', `maxRows must be an integer between 1 and ${EXPORT_MAX_ROWS}`));
+    }
+    if (rowLimit > rowBudget) {
+      return sendError(res, gatewayError(429, 'limit_exceeded', `maxRows (${rowLimit}) exceeds the ${rowBudget} rows left in the daily row budget; lower maxRows`));
+    }
+
+    // Validate query (the submitted text is audited even when rejected)
+    setAuditContext(res, { sql: query });
+    const queryValidation = validateQuery(query, { database });
+    if (!queryValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', queryValidation.error, { position: queryValidation.position }));
+    }
+
+    // Validate parameter bindings
+    const paramValidation = validateQueryParameters(query, parameters);
+    if (!paramValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', paramValidation.error));
+    }
+
+    const sourceTables = extractTableReferences(query);
+    for (const table of sourceTables) {
+      const tableAccess = checkTableAccess(req.apiKey, table);
+      if (!tableAccess.allowed) {
+        return sendError(res, gatewayError(403, 'forbidden', tableAccess.error));
+      }
+    }
+
+    // Masked columns must keep their names so they are masked in the results
+    const maskingCheck = checkQueryMasking(database, sourceTables, query);
+    if (!maskingCheck.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', maskingCheck.error));
+    }
+
+    const { query: finalQuery } = applyRowLimit(query, rowLimit);
+    setAuditContext(res, { sql: finalQuery, parameterNames: Object.keys(parameters || {}), format });
+    request = await createStreamingRequest(database, parameters || {});
+
+    let formatter = null;
+    let masking = [];
+    let rowCount = 0;
+    let stopped = false;
+    let paused = false;
+    const started = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+
+    const finish = () => {
+      if (res.writableEnded) return;
+      recordQuery(database, 'export', elapsed(), rowCount);
+      setAuditContext(res, { rowCount });
+      if (!formatter) {
+        // No result set was produced
+        formatter = createFormatter(format, []);
+        res.status(200);
+        res.setHeader('Content-Type', FORMATS[format]);
+        res.write(formatter.start);
+      }
+      res.end(formatter.end);
+    };
+
+    // Stop reading from SQL Server when the client goes away. Runs before the audit and
+    // rate limit listeners so the rows already sent are recorded and charged.
+    res.prependListener('close', () => {
+      if (!res.writableEnded && !stopped) {
+        stopped = true;
+        request.cancel();
+        setAuditContext(res, { rowCount });
+      }
+    });
+
+    request.on('recordset', columns => {
+      // Only the first result set is exported
+      if (formatter) return;
+
+      const names = Object.values(columns)
+        .sort((a, b) => a.index - b.index)
+        .map(column => column.name);
+      masking = planMasking(database, sourceTables, names);
+      const dropped = masking.filter(({ rule }) => rule.action === 'drop').map(({ column }) => column);
+      formatter = createFormatter(format, names.filter(name => !dropped.includes(name)));
+
+      res.status(200);
+      res.setHeader('Content-Type', FORMATS[format]);
+      res.setHeader('X-Export-Max-Rows', String(rowLimit));
+      if (masking.length > 0) {
+        // e.g. "Email=hash, Phone=partial" (names are URI-encoded to keep the header ASCII)
+        res.setHeader('X-Masked-Columns', describeMasking(masking).map(({ column, action }) => `${encodeURIComponent(column)}=${action}`).join(', '));
+      }
+      if (format === 'csv') {
+        res.setHeader('Content-Disposition', `attachment; filename="${database}-export.csv"`);
+      }
+      res.write(formatter.start);
+    });
+
+    request.on('row', row => {
+      if (stopped) return;
+
+      if (rowCount >= rowLimit) {
+        // Queries with their own TOP can exceed the ceiling
+        stopped = true;
+        request.cancel();
+        finish();
+        return;
+      }
+
+      // Rows already in flight keep arriving after pause(), so only the first full write
+      // waits for drain
+      if (!res.write(formatter.row(applyMasking(masking, row), rowCount)) && !paused) {
+        paused = true;
+        request.pause();
+        res.once('drain', () => {
+          paused = false;
+          request.resume();
+        });
+      }
+      rowCount++;
+    });
+
+    request.on('error', error => {
+      if (stopped) return;
+      stopped = true;
+      recordQuery(database, 'export', elapsed(), null);
+
+      if (!res.headersSent) {
+        return sendError(res, error);
+      }
+
+      // Headers are already sent: abort so the client sees an incomplete download
+      logger.error('Export failed', { requestId: req.id, database, rowCount, error: error.message });
+      setAuditContext(res, { rowCount, error: error.message });
+      res.destroy(error);
+    });
+
+    request.on('done', () => {
+      if (!stopped) {
+        finish();
+      }
+    });
+
+    // In stream mode errors are reported through the 'error' event
+    request.query(finalQuery);
+  } catch (error) {
+    if (request) {
+      request.cancel();
+    }
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { allowedDatabases, getPoolStats, probeDatabase } = require('../db-connector');
+const { findKey, checkDatabaseAccess } = require('../key-registry');
+const { mapError } = require('../error-mapper');
+const logger = require('../logger');
+
+const PROBE_TIMEOUT_MS = parseInt(process.env.HEALTH_PROBE_TIMEOUT || '2000');
+// How long probe results are reused (ms); readiness checks need no key, so callers must
+// not be able to make every request reach the databases
+const CACHE_TTL_MS = parseInt(process.env.HEALTH_CACHE_TTL || '5000');
+
+// Probe run shared by concurrent readiness checks
+let probing = null;
+// Last completed probe run: { probes, checkedAt }
+let lastProbe = null;
+
+/**
+ * Get the API key of a health check caller
+ * Health routes do not require a key; a valid one unlocks the detailed response.
+ * @param {Object} req - Express request
+ * @returns {Object|null} Enabled key entry, or null for anonymous callers
+ */
+function callerKey(req) {
+  const apiKey = req.headers['x-api-key'];
+  const key = apiKey ? findKey(apiKey) : null;
+  return key && key.enabled ? key : null;
+}
+
+/**
+ * Probe one database
+ * Failures the error mapper does not recognize are reported as 'unavailable'.
+ * @param {string} database - Database name
+ * @returns {Promise<{database: string, status: string, latencyMs: number|null, code: string|null, error: string|null}>}
+ */
+async function probe(database) {
+  try {
+    const latencyMs = await probeDatabase(database, PROBE_TIMEOUT_MS);
+    return { database, status: 'up', latencyMs, code: null, error: null };
+  } catch (error) {
+    let { code, message } = mapError(error);
+    if (code === 'internal_error') {
+      code = 'unavailable';
+      message = 'The database is unavailable';
+    }
+    logger.warn('database probe failed', { database, code, error: error.message });
+    return { database, status: 'down', latencyMs: null, code, error: message };
+  }
+}
+
+/**
+ * Probe every allowed database in parallel
+ * Results are reused for HEALTH_CACHE_TTL ms.
+ * @returns {Promise<{probes: Array<Object>, checkedAt: Date}>}
+ */
+function probeAll() {
+  if (lastProbe && Date.now() - lastProbe.checkedAt.getTime() < CACHE_TTL_MS) {
+    return Promise.resolve(lastProbe);
+  }
+  if (!probing) {
+    probing = Promise.all(allowedDatabases.map(probe))
+      .then(probes => {
+        lastProbe = { probes, checkedAt: new Date() };
+        return lastProbe;
+      })
+      .finally(() => {
+        probing = null;
+      });
+  }
+  return probing;
+}
+
+/**
+ * GET /health/live (also GET /health)
+ * Liveness: the process is up and serving requests (no database access)
+ */
+router.get(['/health', '/health/live'], (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /health/ready
+ * Readiness: every allowed database answers a probe within HEALTH_PROBE_TIMEOUT ms
+ * Probe results are cached for HEALTH_CACHE_TTL ms (checkedAt is the time of the probe run).
+ * Responds 503 with status "degraded" when any database is down. Callers presenting a
+ * valid X-API-Key also get per-database latency, errors and pool statistics for the
+ * databases their key may access.
+ */
+router.get('/health/ready', async (req, res) => {
+  const { probes, checkedAt } = await probeAll();
+  const ready = probes.every(probe => probe.status === 'up');
+  const response = {
+    status: ready ? 'ready' : 'degraded',
+    timestamp: new Date().toISOString(),
+    checkedAt: checkedAt.toISOString()
+  };
+
+  const key = callerKey(req);
+  if (key) {
+    const pools = await getPoolStats();
+    response.databases = probes
+      .filter(probe => checkDatabaseAccess(key, probe.database).allowed)
+      .map(probe => ({
+        ...probe,
+        pools: pools
+          .filter(pool => pool.database === probe.database)
+          .map(({ database, ...stats }) => stats)
+      }));
+  }
+
+  res.status(ready ? 200 : 503).json(response);
+});
+
+module.exports = router;
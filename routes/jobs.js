@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const { validateQuery, applyRowLimit, validateDatabaseName, extractTableReferences, validateQueryParameters } = require('../middleware/validator');
+const { checkDatabaseAccess, checkAdHocQueryAccess, checkTableAccess } = require('../key-registry');
+const { setAuditContext } = require('../audit-log');
+const { validateBody } = require('../api-schemas');
+const { checkQueryMasking } = require('../masking-policy');
+const { remainingDailyRows } = require('../middleware/rate-limit');
+const { MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE } = require('../pagination');
+const { submitJob, getJob, listJobs, cancelJob, deleteJob, describeJob, isActive, getJobLimits } = require('../query-jobs');
+const { gatewayError, sendError } = require('../error-mapper');
+
+// Record the target database for the audit log
+router.param('database', (req, res, next, database) => {
+  setAuditContext(res, { database });
+  next();
+});
+
+/**
+ * Id of the API key a job belongs to
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function ownerId(req) {
+  return req.apiKey ? req.apiKey.id : 'anonymous';
+}
+
+/**
+ * POST /databases/:database/jobs
+ * Submit a SELECT query to run in the background
+ * Body: { query, parameters?, timeoutSeconds?, maxRows? }
+ * Responds 202 with the job; poll GET /jobs/:id for its status and results.
+ * timeoutSeconds defaults to JOB_DEFAULT_TIMEOUT (capped at JOB_MAX_TIMEOUT) and maxRows
+ * defaults to and is capped at JOB_MAX_ROWS; it must also fit in the key's remaining daily row
+ * budget (which also caps the default).
+ */
+router.post('/databases/:database/jobs', validateBody('JobRequest'), async (req, res) => {
+  try {
+    const { database } = req.params;
+    const limits = getJobLimits();
+    // Job rows are charged to the daily row budget as their pages are read, so an omitted
+    // maxRows is limited to what is left of it
+    const rowBudget = remainingDailyRows(req.apiKey);
+    const { query, parameters = {}, timeoutSeconds = limits.defaultTimeout, maxRows = Math.min(limits.maxRows, rowBudget) } = req.body;
+
+    // Validate database name
+    const dbValidation = validateDatabaseName(database);
+    if (!dbValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    // Keys restricted to saved queries cannot run their own SQL
+    const adHocAccess = checkAdHocQueryAccess(req.apiKey);
+    if (!adHocAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', adHocAccess.error));
+    }
+
+    if (timeoutSeconds > limits.maxTimeout) {
+      return sendError(res, gatewayError(400, 'validation_error', `timeoutSeconds must be between 1 and ${limits.maxTimeout}`));
+    }
+    if (maxRows > limits.maxRows) {
+      return sendError(res, gatewayError(400, 'validation_error', `maxRows must be between 1 and ${limits.maxRows}`));
+    }
+
+    // The whole row ceiling must fit in the budget before the rows are buffered
+    if (rowBudget === 0) {
+      return sendError(res, gatewayError(429, 'limit_exceeded', 'Daily row budget exhausted'));
+    }
+    if (maxRows > rowBudget) {
+      return sendError(res, gatewayError(429, 'limit_exceeded', `maxRows (${maxRows}) exceeds the ${rowBudget} rows left in the daily row budget; lower maxRows`));
+    }
+
+    // Validate query (the submitted text is audited even when rejected)
+    setAuditContext(res, { sql: query });
+    const queryValidation = validateQuery(query, { database });
+    if (!queryValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', queryValidation.error, { position: queryValidation.position }));
+    }
+
+    // Validate parameter bindings
+    const paramValidation = validateQueryParameters(query, parameters);
+    if (!paramValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', paramValidation.error));
+    }
+
+    const sourceTables = extractTableReferences(query);
+    for (const table of sourceTables) {
+      const tableAccess = checkTableAccess(req.apiKey, table);
+      if (!tableAccess.allowed) {
+        return sendError(res, gatewayError(403, 'forbidden', tableAccess.error));
+      }
+    }
+
+    // Masked columns must keep their names so they are masked in the results
+    const maskingCheck = checkQueryMasking(database, sourceTables, query);
+    if (!maskingCheck.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', maskingCheck.error));
+    }
+
+    const { query: finalQuery } = applyRowLimit(query, maxRows);
+    setAuditContext(res, { sql: finalQuery, parameterNames: Object.keys(parameters || {}) });
+
+    const job = submitJob({
+      keyId: ownerId(req),
+      database,
+      query: finalQuery,
+      parameters: parameters || {},
+      sourceTables,
+      timeoutSeconds,
+      maxRows
+    });
+    setAuditContext(res, { jobId: job.id });
+
+    res.status(202).setHeader('Location', `${req.baseUrl}/jobs/${job.id}`);
+    res.json(describeJob(job));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /jobs
+ * List the jobs of the calling API key, newest first
+ */
+router.get('/jobs', (req, res) => {
+  const jobs = listJobs(ownerId(req));
+  res.json({
+    jobs: jobs.map(describeJob),
+    count: jobs.length
+  });
+});
+
+/**
+ * GET /jobs/:id
+ * Get the status of a job; finished jobs also return a page of their rows
+ * Query: page (default 1), pageSize (default DEFAULT_PAGE_SIZE, max MAX_PAGE_SIZE)
+ * Rows are returned for succeeded jobs only.
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(ownerId(req), req.params.id);
+  if (!job) {
+    return sendError(res, gatewayError(404, 'not_found', `Job '${req.params.id}' not found`));
+  }
+  setAuditContext(res, { database: job.database, jobId: job.id });
+
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    return sendError(res, gatewayError(400, 'validation_error', 'page must be a positive integer'));
+  }
+  const pageSize = req.query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return sendError(res, gatewayError(400, 'validation_error', `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`));
+  }
+
+  const response = describeJob(job);
+  if (job.status === 'succeeded') {
+    const rows = job.rows.slice((page - 1) * pageSize, page * pageSize);
+    setAuditContext(res, { rowCount: rows.length });
+    Object.assign(response, {
+      rows,
+      count: rows.length,
+      page,
+      pageSize,
+      hasMore: page * pageSize < job.rows.length
+    });
+  }
+
+  res.json(response);
+});
+
+/**
+ * DELETE /jobs/:id
+ * Cancel a queued or running job (it stays available as cancelled until it expires),
+ * or remove a finished job and its results
+ */
+router.delete('/jobs/:id', (req, res) => {
+  const job = getJob(ownerId(req), req.params.id);
+  if (!job) {
+    return sendError(res, gatewayError(404, 'not_found', `Job '${req.params.id}' not found`));
+  }
+  setAuditContext(res, { database: job.database, jobId: job.id });
+
+  if (isActive(job)) {
+    cancelJob(job);
+    return res.json(describeJob(job));
+  }
+
+  deleteJob(job);
+  res.json({ ...describeJob(job), deleted: true });
+});
+
+module.exports = router;
@@ -0,0 +1,448 @@
+const http = require('http');
+const net = require('net');
+const express = require('express');
+const router = express.Router();
+const queryRoutes = require('./query');
+const metadataRoutes = require('./metadata');
+const jobRoutes = require('./jobs');
+const savedQueryRoutes = require('./saved-queries');
+const { allowedDatabases } = require('../db-connector');
+const { checkDatabaseAccess } = require('../key-registry');
+const auditMiddleware = require('../middleware/audit');
+const rateLimitMiddleware = require('../middleware/rate-limit');
+const { schemas, resolveSchema } = require('../api-schemas');
+const { version } = require('../package.json');
+const logger = require('../logger');
+
+/**
+ * MCP (Model Context Protocol) endpoint
+ * Streamable HTTP transport answering JSON-RPC messages with application/json.
+ * Tool calls are dispatched in-process to the REST routes, so validation, key
+ * scopes, caching, rate limits and audit entries are exactly those of the equivalent
+ * REST call: every tool call is charged and audited on its own.
+ */
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC batches (protocol versions before 2025-06-18) are capped
+const MAX_BATCH_SIZE = parseInt(process.env.MCP_MAX_BATCH_SIZE || '20');
+
+// Internal app used to dispatch tool calls to the REST routes
+const internalApp = express();
+internalApp.disable('x-powered-by');
+internalApp.use(auditMiddleware);
+internalApp.use(rateLimitMiddleware);
+internalApp.use(queryRoutes);
+internalApp.use(metadataRoutes);
+internalApp.use(jobRoutes);
+internalApp.use(savedQueryRoutes);
+
+const databaseProperty = { type: 'string', description: 'Database name (see list_databases)' };
+const schemaProperty = { type: 'string', description: 'Schema name (defaults to dbo; names may also be given as schema.name)' };
+const tableProperty = { type: 'string', description: 'Table name' };
+const procedureProperty = { type: 'string', description: 'Stored procedure name' };
+const viewProperty = { type: 'string', description: 'View name' };
+const functionProperty = { type: 'string', description: 'Function name' };
+const savedQueryProperty = { type: 'string', description: 'Saved query name (see list_saved_queries)' };
+const jobIdProperty = { type: 'string', description: 'Job id (from submit_query_job)' };
+
+/**
+ * Build a tool input schema from a request body schema plus path arguments
+ * @param {Object} pathProperties - Path arguments (e.g. { database }); all but schema are required
+ * @param {string} [bodySchema] - Name of the request body schema in api-schemas.js
+ * @returns {Object} JSON Schema
+ */
+function inputSchema(pathProperties, bodySchema) {
+  const body = bodySchema ? resolveSchema(schemas[bodySchema]) : { properties: {}, required: [] };
+  return {
+    type: 'object',
+    properties: { ...pathProperties, ...body.properties },
+    required: [...Object.keys(pathProperties).filter(name => name !== 'schema'), ...(body.required || [])]
+  };
+}
+
+/**
+ * Build the REST path prefix for a database and optional schema
+ * @param {Object} args - Tool arguments ({ database, schema? })
+ * @returns {string}
+ */
+function basePath({ database, schema }) {
+  return `/databases/${enc(database)}${schema ? `/schemas/${enc(schema)}` : ''}`;
+}
+
+/**
+ * Tools exposed over MCP
+ * route builds the REST call for the tool arguments: { method, path, body? }
+ */
+const tools = [
+  {
+    name: 'list_databases',
+    description: 'List the databases this API key can access',
+    inputSchema: { type: 'object', properties: {} },
+    handler: req => ({
+      status: 200,
+      body: {
+        databases: allowedDatabases.filter(database => checkDatabaseAccess(req.apiKey, database).allowed)
+      }
+    })
+  },
+  {
+    name: 'list_tables',
+    description: 'List the tables in a database',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/tables` })
+  },
+  {
+    name: 'describe_table',
+    description: 'Get the columns of a table (name, type, max length, nullability, default)',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty, table: tableProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/tables/${enc(args.table)}/schema` })
+  },
+  {
+    name: 'table_stats',
+    description: 'Get row count, column count and size of a table',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty, table: tableProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/tables/${enc(args.table)}/stats` })
+  },
+  {
+    name: 'table_indexes',
+    description: 'Get the indexes of a table with their key and included columns',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty, table: tableProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/tables/${enc(args.table)}/indexes` })
+  },
+  {
+    name: 'table_keys',
+    description: 'Get the primary key, unique constraints and inbound/outbound foreign keys of a table',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty, table: tableProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/tables/${enc(args.table)}/keys` })
+  },
+  {
+    name: 'list_views',
+    description: 'List the views in a database',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/views` })
+  },
+  {
+    name: 'describe_view',
+    description: 'Get the definition and columns of a view',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty, view: viewProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/views/${enc(args.view)}` })
+  },
+  {
+    name: 'list_functions',
+    description: 'List the user-defined scalar and table-valued functions in a database',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/functions` })
+  },
+  {
+    name: 'describe_function',
+    description: 'Get the definition, parameters and return type of a function',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty, function: functionProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/functions/${enc(args.function)}` })
+  },
+  {
+    name: 'read_table',
+    description: 'Read rows from a table, optionally paginated',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty, table: tableProperty }, 'TableDataRequest'),
+    route: ({ database, schema, table, ...body }) => ({ method: 'POST', path: `${basePath({ database, schema })}/tables/${enc(table)}/data`, body })
+  },
+  {
+    name: 'run_query',
+    description: 'Run a single read-only SELECT query with optional typed parameters and pagination',
+    inputSchema: inputSchema({ database: databaseProperty }, 'QueryRequest'),
+    route: ({ database, ...body }) => ({ method: 'POST', path: `/databases/${enc(database)}/query`, body })
+  },
+  {
+    name: 'explain_query',
+    description: 'Get the estimated execution plan (operators, estimated rows and cost) of a SELECT query without running it',
+    inputSchema: inputSchema({ database: databaseProperty }, 'ExplainRequest'),
+    route: ({ database, ...body }) => ({ method: 'POST', path: `/databases/${enc(database)}/explain`, body })
+  },
+  {
+    name: 'list_saved_queries',
+    description: 'List the saved (reviewed) queries of a database with their parameters',
+    inputSchema: inputSchema({ database: databaseProperty }),
+    route: args => ({ method: 'GET', path: `/databases/${enc(args.database)}/saved-queries` })
+  },
+  {
+    name: 'run_saved_query',
+    description: 'Run a saved query by name with plain parameter values',
+    inputSchema: inputSchema({ database: databaseProperty, name: savedQueryProperty }, 'SavedQueryRunRequest'),
+    route: ({ database, name, ...body }) => ({ method: 'POST', path: `/databases/${enc(database)}/saved-queries/${enc(name)}/run`, body })
+  },
+  {
+    name: 'submit_query_job',
+    description: 'Run a long SELECT query in the background; returns a job id to poll with get_query_job',
+    inputSchema: inputSchema({ database: databaseProperty }, 'JobRequest'),
+    route: ({ database, ...body }) => ({ method: 'POST', path: `/databases/${enc(database)}/jobs`, body })
+  },
+  {
+    name: 'get_query_job',
+    description: 'Get the status of a query job and, once it has succeeded, a page of its rows',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: jobIdProperty,
+        page: { type: 'integer', minimum: 1, description: 'Page number (default 1)' },
+        pageSize: { type: 'integer', minimum: 1, description: 'Rows per page' }
+      },
+      required: ['id']
+    },
+    route: ({ id, page, pageSize }) => {
+      const query = new URLSearchParams();
+      if (page !== undefined) query.set('page', page);
+      if (pageSize !== undefined) query.set('pageSize', pageSize);
+      return { method: 'GET', path: `/jobs/${enc(id)}${query.size > 0 ? `?${query}` : ''}` };
+    }
+  },
+  {
+    name: 'cancel_query_job',
+    description: 'Cancel a running query job, or remove a finished one',
+    inputSchema: inputSchema({ id: jobIdProperty }),
+    route: args => ({ method: 'DELETE', path: `/jobs/${enc(args.id)}` })
+  },
+  {
+    name: 'list_procedures',
+    description: 'List the stored procedures in a database',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/stored-procedures` })
+  },
+  {
+    name: 'describe_procedure',
+    description: 'Get the definition and parameters of a stored procedure',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty, procedure: procedureProperty }),
+    route: args => ({ method: 'GET', path: `${basePath(args)}/stored-procedures/${enc(args.procedure)}` })
+  },
+  {
+    name: 'execute_procedure',
+    description: 'Execute a stored procedure',
+    inputSchema: inputSchema({ database: databaseProperty, schema: schemaProperty }, 'ExecuteProcedureRequest'),
+    route: ({ database, schema, ...body }) => ({ method: 'POST', path: `${basePath({ database, schema })}/stored-procedures/execute`, body })
+  }
+];
+
+/**
+ * Encode a path segment
+ * @param {*} value
+ * @returns {string}
+ */
+function enc(value) {
+  return encodeURIComponent(String(value));
+}
+
+/**
+ * Dispatch a REST call in-process and capture its JSON response
+ * The dispatched request shares the caller's API key, client IP and request id but has
+ * its own locals, so it gets its own audit entry and rate limit charge.
+ * @param {Object} outerReq - The MCP HTTP request
+ * @param {string} toolName - Tool being called (recorded in the audit entry)
+ * @param {{method: string, path: string, body?: Object}} call
+ * @returns {Promise<{status: number, body: *}>}
+ */
+function dispatch(outerReq, toolName, { method, path, body }) {
+  return new Promise((resolve, reject) => {
+    const req = new http.IncomingMessage(new net.Socket());
+    req.method = method;
+    req.url = path;
+    req.originalUrl = `${outerReq.baseUrl}${path}`;
+    req.headers = { 'content-type': 'application/json', accept: 'application/json' };
+    req.body = body || {};
+    req._body = true;
+    req.apiKey = outerReq.apiKey;
+    req.id = outerReq.id;
+    Object.defineProperty(req, 'ip', { value: outerReq.ip });
+
+    const res = new http.ServerResponse(req);
+    res.locals = { audit: { mcpTool: toolName } };
+
+    const chunks = [];
+    res.write = chunk => {
+      chunks.push(Buffer.from(chunk));
+      return true;
+    };
+    res.end = chunk => {
+      if (chunk) chunks.push(Buffer.from(chunk));
+      const text = Buffer.concat(chunks).toString('utf8');
+      let parsed = text;
+      try {
+        parsed = text ? JSON.parse(text) : null;
+      } catch {
+        // Non-JSON bodies are returned as text
+      }
+      resolve({ status: res.statusCode, body: parsed });
+
+      // Completes the audit entry and releases the rate limit slot
+      res.finished = true;
+      res.emit('finish');
+      res.emit('close');
+      return res;
+    };
+
+    internalApp.handle(req, res, error => {
+      if (error) return reject(error);
+      resolve({ status: 404, body: { error: 'Not Found', message: `Route ${method} ${path} not found` } });
+    });
+  });
+}
+
+/**
+ * Build a JSON-RPC error response
+ * @param {*} id - Request id
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message
+ * @returns {Object}
+ */
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id === undefined ? null : id, error: { code, message } };
+}
+
+/**
+ * Handle a tools/call request
+ * @param {Object} req - MCP HTTP request
+ * @param {Object} params - { name, arguments }
+ * @returns {Promise<Object>} MCP tool result
+ */
+async function callTool(req, params) {
+  const tool = tools.find(t => t.name === (params && params.name));
+  if (!tool) {
+    const error = new Error(`Unknown tool '${params && params.name}'`);
+    error.rpcCode = -32602;
+    throw error;
+  }
+
+  const args = (params && params.arguments) || {};
+  for (const name of tool.inputSchema.required || []) {
+    if (args[name] === undefined) {
+      return toolResult(400, { error: `Missing required argument '${name}'` });
+    }
+  }
+
+  const { status, body } = tool.handler
+    ? tool.handler(req, args)
+    : await dispatch(req, tool.name, tool.route(args));
+
+  // The MCP response itself is 200, so failed tool calls are logged separately
+  let level = 'debug';
+  if (status >= 500) {
+    level = 'error';
+  } else if (status >= 400) {
+    level = 'warn';
+  }
+  logger[level]('mcp tool call', {
+    requestId: req.id,
+    tool: tool.name,
+    status,
+    error: status >= 400 && body ? body.message || body.error : undefined
+  });
+
+  return toolResult(status, body);
+}
+
+/**
+ * Wrap a REST response as an MCP tool result
+ * @param {number} status - HTTP status of the dispatched call
+ * @param {*} body - Response body
+ * @returns {Object}
+ */
+function toolResult(status, body) {
+  const result = {
+    content: [{ type: 'text', text: JSON.stringify(body) }],
+    isError: status >= 400
+  };
+  if (body && typeof body === 'object' && !Array.isArray(body)) {
+    result.structuredContent = body;
+  }
+  return result;
+}
+
+/**
+ * Handle a single JSON-RPC message
+ * @param {Object} req - MCP HTTP request
+ * @param {Object} message - JSON-RPC request or notification
+ * @returns {Promise<Object|null>} Response, or null for notifications
+ */
+async function handleMessage(req, message) {
+  if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return rpcError(message && message.id, -32600, 'Invalid Request');
+  }
+
+  // Notifications (no id) get no response
+  const isNotification = message.id === undefined;
+
+  try {
+    let result;
+    switch (message.method) {
+      case 'initialize': {
+        const requested = message.params && message.params.protocolVersion;
+        result = {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: 'mssql-api-gateway', version }
+        };
+        break;
+      }
+      case 'ping':
+        result = {};
+        break;
+      case 'tools/list':
+        result = { tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) };
+        break;
+      case 'tools/call':
+        result = await callTool(req, message.params);
+        break;
+      default:
+        if (message.method.startsWith('notifications/')) {
+          return null;
+        }
+        return isNotification ? null : rpcError(message.id, -32601, `Method not found: ${message.method}`);
+    }
+
+    return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+  } catch (error) {
+    return isNotification ? null : rpcError(message.id, error.rpcCode || -32603, error.message);
+  }
+}
+
+/**
+ * POST /mcp
+ * MCP Streamable HTTP endpoint (JSON responses, no server-initiated streams)
+ */
+router.post('/mcp', async (req, res) => {
+  try {
+    const batch = Array.isArray(req.body);
+    const messages = batch ? req.body : [req.body];
+
+    if (messages.length === 0) {
+      return res.status(400).json(rpcError(null, -32600, 'Invalid Request'));
+    }
+    if (messages.length > MAX_BATCH_SIZE) {
+      return res.status(400).json(rpcError(null, -32600, `Batches are limited to ${MAX_BATCH_SIZE} messages`));
+    }
+
+    const responses = [];
+    for (const message of messages) {
+      const response = await handleMessage(req, message);
+      if (response) responses.push(response);
+    }
+
+    // Only notifications/responses were received
+    if (responses.length === 0) {
+      return res.status(202).end();
+    }
+
+    res.json(batch ? responses : responses[0]);
+  } catch (error) {
+    res.status(500).json(rpcError(null, -32603, error.message));
+  }
+});
+
+/**
+ * GET /mcp
+ * Server-initiated SSE streams are not offered
+ */
+router.get('/mcp', (req, res) => {
+  res.setHeader('Allow', 'POST');
+  res.status(405).json({ error: 'Method Not Allowed', message: 'This MCP endpoint only accepts POST requests', code: 'method_not_allowed', retryable: false });
+});
+
+module.exports = router;
@@ -0,0 +1,587 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../db-connector');
+const { validateTableName, validateDatabaseName, validateStoredProcedureName, validateSchemaName, resolveObjectName } = require('../middleware/validator');
+const { checkDatabaseAccess, checkTableAccess, checkProcedureAccess } = require('../key-registry');
+const { setAuditContext } = require('../audit-log');
+const metadataCache = require('../metadata-cache');
+const { parseParameterDefaults } = require('../procedure-parameters');
+const { gatewayError, sendError } = require('../error-mapper');
+
+/**
+ * Catalog metadata routes
+ * Views, user-defined functions, indexes, keys and foreign keys, read from the sys catalog
+ * views. Views are scoped like tables and functions like stored procedures.
+ */
+
+// Record the target database for the audit log
+router.param('database', (req, res, next, database) => {
+  setAuditContext(res, { database });
+  next();
+});
+
+// sys.objects types of user-defined functions
+const FUNCTION_KINDS = {
+  FN: 'scalar',
+  FS: 'scalar',
+  IF: 'inline-table',
+  TF: 'table',
+  FT: 'table'
+};
+
+// Types whose sys max_length is a length in bytes of (n)char/(var)binary data
+const LENGTH_TYPES = ['char', 'varchar', 'binary', 'varbinary'];
+const UNICODE_LENGTH_TYPES = ['nchar', 'nvarchar'];
+
+/**
+ * Find a schema-qualified object in sys.objects
+ * @param {string} database - Database name
+ * @param {{schema: string, name: string}} ref - Result of resolveObjectName
+ * @param {string[]} types - Accepted sys.objects types (constants, e.g. ['U'])
+ * @returns {Promise<Object|null>} { objectId, type, created, modified }, or null if not found
+ */
+async function findObject(database, ref, types) {
+  const query = `
+    SELECT o.object_id AS objectId, RTRIM(o.type) AS type, o.create_date AS created, o.modify_date AS modified
+    FROM sys.objects o
+    JOIN sys.schemas s ON s.schema_id = o.schema_id
+    WHERE s.name = @schema AND o.name = @name AND o.type IN (${types.map(type => `'${type}'`).join(', ')})
+  `;
+
+  const rows = await executeQuery(database, query, {
+    schema: { type: 'nvarchar', length: 128, value: ref.schema },
+    name: { type: 'nvarchar', length: 128, value: ref.name }
+  });
+  return rows[0] || null;
+}
+
+/**
+ * Parameter binding for queries filtering on @objectId
+ * @param {number} objectId
+ * @returns {Object}
+ */
+function objectIdParameter(objectId) {
+  return { objectId: { type: 'int', value: objectId } };
+}
+
+/**
+ * Convert a sys max_length (bytes) to the declared length of a character or binary type
+ * @param {string} type - Type name
+ * @param {number} maxLength - sys.columns / sys.parameters max_length
+ * @returns {number|null} Declared length, -1 for max, null for types without a length
+ */
+function declaredLength(type, maxLength) {
+  if (maxLength === -1 && (LENGTH_TYPES.includes(type) || UNICODE_LENGTH_TYPES.includes(type))) {
+    return -1;
+  }
+  if (LENGTH_TYPES.includes(type)) return maxLength;
+  if (UNICODE_LENGTH_TYPES.includes(type)) return maxLength / 2;
+  return null;
+}
+
+/**
+ * Load the columns of a view or table-valued function from sys.columns
+ * @param {string} database - Database name
+ * @param {number} objectId - Object id
+ * @returns {Promise<Array<Object>>} Columns in column order
+ */
+async function loadObjectColumns(database, objectId) {
+  const query = `
+    SELECT c.name, TYPE_NAME(c.user_type_id) AS type, c.max_length AS maxLength, c.is_nullable AS nullable
+    FROM sys.columns c
+    WHERE c.object_id = @objectId
+    ORDER BY c.column_id
+  `;
+
+  const rows = await executeQuery(database, query, objectIdParameter(objectId));
+  return rows.map(c => ({
+    name: c.name,
+    type: c.type,
+    maxLength: declaredLength(c.type, c.maxLength),
+    nullable: c.nullable === true
+  }));
+}
+
+/**
+ * Load a table's indexes, key constraints and foreign keys through the metadata cache
+ * @param {string} database - Database name
+ * @param {{schema: string, name: string, qualifiedName: string}} tableRef - Resolved table
+ * @returns {Promise<{value: Object|null, cacheStatus: string}>} null if the table does not exist,
+ *   otherwise { indexes, primaryKey, uniqueConstraints, foreignKeys: { outbound, inbound } }
+ */
+function loadTableKeys(database, tableRef) {
+  return metadataCache.getOrLoad(database, `keys:${tableRef.qualifiedName}`, async () => {
+    const table = await findObject(database, tableRef, ['U']);
+    if (!table) {
+      return null;
+    }
+
+    const indexQuery = `
+      SELECT i.index_id AS indexId, i.name, i.type_desc AS type, i.is_unique AS isUnique,
+        i.is_primary_key AS isPrimaryKey, i.is_unique_constraint AS isUniqueConstraint,
+        i.is_disabled AS isDisabled, i.filter_definition AS filter,
+        c.name AS columnName, ic.is_descending_key AS isDescending, ic.is_included_column AS isIncluded
+      FROM sys.indexes i
+      JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+      JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+      WHERE i.object_id = @objectId AND i.type > 0
+      ORDER BY i.index_id, ic.is_included_column, ic.key_ordinal, ic.index_column_id
+    `;
+    const indexRows = await executeQuery(database, indexQuery, objectIdParameter(table.objectId));
+
+    const foreignKeyQuery = `
+      SELECT fk.object_id AS constraintId, fk.name,
+        fk.delete_referential_action_desc AS onDelete, fk.update_referential_action_desc AS onUpdate,
+        fk.is_disabled AS isDisabled, fk.parent_object_id AS parentId, fk.referenced_object_id AS referencedId,
+        ps.name AS parentSchema, pt.name AS parentTable, pc.name AS parentColumn,
+        rs.name AS referencedSchema, rt.name AS referencedTable, rc.name AS referencedColumn
+      FROM sys.foreign_keys fk
+      JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+      JOIN sys.tables pt ON pt.object_id = fk.parent_object_id
+      JOIN sys.schemas ps ON ps.schema_id = pt.schema_id
+      JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+      JOIN sys.tables rt ON rt.object_id = fk.referenced_object_id
+      JOIN sys.schemas rs ON rs.schema_id = rt.schema_id
+      JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+      WHERE fk.parent_object_id = @objectId OR fk.referenced_object_id = @objectId
+      ORDER BY fk.name, fkc.constraint_column_id
+    `;
+    const foreignKeyRows = await executeQuery(database, foreignKeyQuery, objectIdParameter(table.objectId));
+
+    // Group index columns by index
+    const indexes = [];
+    for (const row of indexRows) {
+      let index = indexes[indexes.length - 1];
+      if (!index || index.indexId !== row.indexId) {
+        index = {
+          indexId: row.indexId,
+          name: row.name,
+          type: row.type,
+          isUnique: row.isUnique,
+          isPrimaryKey: row.isPrimaryKey,
+          isUniqueConstraint: row.isUniqueConstraint,
+          isDisabled: row.isDisabled,
+          filter: row.filter,
+          columns: [],
+          includedColumns: []
+        };
+        indexes.push(index);
+      }
+      if (row.isIncluded) {
+        index.includedColumns.push(row.columnName);
+      } else {
+        index.columns.push({ name: row.columnName, order: row.isDescending ? 'desc' : 'asc' });
+      }
+    }
+
+    // Group foreign key columns by constraint; a self-reference is both outbound and inbound
+    const foreignKeys = new Map();
+    for (const row of foreignKeyRows) {
+      if (!foreignKeys.has(row.constraintId)) {
+        foreignKeys.set(row.constraintId, {
+          name: row.name,
+          parentId: row.parentId,
+          referencedId: row.referencedId,
+          table: { schema: row.parentSchema, name: row.parentTable },
+          columns: [],
+          referencedTable: { schema: row.referencedSchema, name: row.referencedTable },
+          referencedColumns: [],
+          onDelete: row.onDelete,
+          onUpdate: row.onUpdate,
+          isDisabled: row.isDisabled
+        });
+      }
+      const foreignKey = foreignKeys.get(row.constraintId);
+      foreignKey.columns.push(row.parentColumn);
+      foreignKey.referencedColumns.push(row.referencedColumn);
+    }
+
+    const outbound = [];
+    const inbound = [];
+    for (const { parentId, referencedId, ...foreignKey } of foreignKeys.values()) {
+      if (parentId === table.objectId) outbound.push(foreignKey);
+      if (referencedId === table.objectId) inbound.push(foreignKey);
+    }
+
+    const keyIndex = index => ({ name: index.name, columns: index.columns.map(column => column.name) });
+
+    return {
+      indexes: indexes.map(({ indexId, ...index }) => index),
+      primaryKey: indexes.filter(index => index.isPrimaryKey).map(keyIndex)[0] || null,
+      uniqueConstraints: indexes.filter(index => index.isUniqueConstraint).map(keyIndex),
+      foreignKeys: { outbound, inbound }
+    };
+  });
+}
+
+/**
+ * GET /databases/:database/views
+ * GET /databases/:database/schemas/:schema/views
+ * Get list of views in a database (optionally limited to one schema)
+ */
+router.get(['/databases/:database/views', '/databases/:database/schemas/:schema/views'], async (req, res) => {
+  try {
+    const { database, schema } = req.params;
+
+    // Validate database name
+    const dbValidation = validateDatabaseName(database);
+    if (!dbValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    if (schema !== undefined) {
+      const schemaValidation = validateSchemaName(schema);
+      if (!schemaValidation.valid) {
+        return sendError(res, gatewayError(400, 'validation_error', schemaValidation.error));
+      }
+    }
+
+    const query = `
+      SELECT s.name AS schemaName, v.name, v.create_date AS created, v.modify_date AS modified
+      FROM sys.views v
+      JOIN sys.schemas s ON s.schema_id = v.schema_id
+      ORDER BY s.name, v.name
+    `;
+
+    const { value, cacheStatus } = await metadataCache.getOrLoad(database, 'views', () => executeQuery(database, query));
+    const views = value.filter(v =>
+      (schema === undefined || v.schemaName.toLowerCase() === schema.toLowerCase()) &&
+      checkTableAccess(req.apiKey, `${v.schemaName}.${v.name}`).allowed
+    );
+    metadataCache.sendCached(req, res, cacheStatus, {
+      database,
+      views: views.map(v => ({ schema: v.schemaName, name: v.name, created: v.created, modified: v.modified })),
+      count: views.length
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /databases/:database/views/:view
+ * GET /databases/:database/schemas/:schema/views/:view
+ * Get the definition and columns of a view
+ */
+router.get(['/databases/:database/views/:view', '/databases/:database/schemas/:schema/views/:view'], async (req, res) => {
+  try {
+    const { database, view } = req.params;
+
+    // Validate inputs
+    const dbValidation = validateDatabaseName(database);
+    if (!dbValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    const viewRef = resolveObjectName(req.params.schema, view, validateTableName);
+    if (!viewRef.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', viewRef.error));
+    }
+
+    const viewAccess = checkTableAccess(req.apiKey, viewRef.qualifiedName);
+    if (!viewAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', viewAccess.error));
+    }
+
+    const { value, cacheStatus } = await metadataCache.getOrLoad(database, `view:${viewRef.qualifiedName}`, async () => {
+      const object = await findObject(database, viewRef, ['V']);
+      if (!object) {
+        return null;
+      }
+
+      // definition is NULL for encrypted views
+      const definitionResult = await executeQuery(
+        database,
+        'SELECT OBJECT_DEFINITION(@objectId) AS definition',
+        objectIdParameter(object.objectId)
+      );
+      const columns = await loadObjectColumns(database, object.objectId);
+
+      return { object, definition: definitionResult[0]?.definition ?? null, columns };
+    });
+
+    if (!value) {
+      return sendError(res, gatewayError(404, 'not_found', `View '${viewRef.qualifiedName}' not found in database '${database}'`));
+    }
+
+    metadataCache.sendCached(req, res, cacheStatus, {
+      database,
+      schema: viewRef.schema,
+      view: viewRef.name,
+      created: value.object.created,
+      modified: value.object.modified,
+      definition: value.definition,
+      columns: value.columns,
+      columnCount: value.columns.length
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /databases/:database/functions
+ * GET /databases/:database/schemas/:schema/functions
+ * Get list of user-defined scalar and table-valued functions in a database
+ */
+router.get(['/databases/:database/functions', '/databases/:database/schemas/:schema/functions'], async (req, res) => {
+  try {
+    const { database, schema } = req.params;
+
+    // Validate database name
+    const dbValidation = validateDatabaseName(database);
+    if (!dbValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    if (schema !== undefined) {
+      const schemaValidation = validateSchemaName(schema);
+      if (!schemaValidation.valid) {
+        return sendError(res, gatewayError(400, 'validation_error', schemaValidation.error));
+      }
+    }
+
+    const query = `
+      SELECT s.name AS schemaName, o.name, RTRIM(o.type) AS type, o.create_date AS created, o.modify_date AS modified
+      FROM sys.objects o
+      JOIN sys.schemas s ON s.schema_id = o.schema_id
+      WHERE o.type IN (${Object.keys(FUNCTION_KINDS).map(type => `'${type}'`).join(', ')})
+      ORDER BY s.name, o.name
+    `;
+
+    const { value, cacheStatus } = await metadataCache.getOrLoad(database, 'functions', () => executeQuery(database, query));
+    const functions = value.filter(f =>
+      (schema === undefined || f.schemaName.toLowerCase() === schema.toLowerCase()) &&
+      checkProcedureAccess(req.apiKey, `${f.schemaName}.${f.name}`).allowed
+    );
+    metadataCache.sendCached(req, res, cacheStatus, {
+      database,
+      functions: functions.map(f => ({
+        schema: f.schemaName,
+        name: f.name,
+        kind: FUNCTION_KINDS[f.type],
+        created: f.created,
+        modified: f.modified
+      })),
+      count: functions.length
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /databases/:database/functions/:function
+ * GET /databases/:database/schemas/:schema/functions/:function
+ * Get the definition, parameters and return type (or returned columns) of a function
+ */
+router.get(['/databases/:database/functions/:function', '/databases/:database/schemas/:schema/functions/:function'], async (req, res) => {
+  try {
+    const { database } = req.params;
+
+    // Validate inputs
+    const dbValidation = validateDatabaseName(database);
+    if (!dbValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    const functionRef = resolveObjectName(req.params.schema, req.params.function, validateStoredProcedureName);
+    if (!functionRef.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', functionRef.error));
+    }
+
+    const functionAccess = checkProcedureAccess(req.apiKey, functionRef.qualifiedName);
+    if (!functionAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', functionAccess.error));
+    }
+
+    const { value, cacheStatus } = await metadataCache.getOrLoad(database, `function:${functionRef.qualifiedName}`, async () => {
+      const object = await findObject(database, functionRef, Object.keys(FUNCTION_KINDS));
+      if (!object) {
+        return null;
+      }
+
+      const definitionResult = await executeQuery(
+        database,
+        'SELECT OBJECT_DEFINITION(@objectId) AS definition',
+        objectIdParameter(object.objectId)
+      );
+      const definition = definitionResult[0]?.definition ?? null;
+
+      // parameter_id 0 is the return value of a scalar function
+      const paramsQuery = `
+        SELECT p.parameter_id AS parameterId, p.name, TYPE_NAME(p.user_type_id) AS type,
+          p.max_length AS maxLength, p.precision, p.scale
+        FROM sys.parameters p
+        WHERE p.object_id = @objectId
+        ORDER BY p.parameter_id
+      `;
+      const parameters = await executeQuery(database, paramsQuery, objectIdParameter(object.objectId));
+      const columns = FUNCTION_KINDS[object.type] === 'scalar' ? null : await loadObjectColumns(database, object.objectId);
+      const defaults = parseParameterDefaults(definition);
+
+      return { object, definition, parameters, columns, defaults: defaults && [...defaults] };
+    });
+
+    if (!value) {
+      return sendError(res, gatewayError(404, 'not_found', `Function '${functionRef.qualifiedName}' not found in database '${database}'`));
+    }
+
+    const formatType = p => ({
+      type: p.type,
+      maxLength: declaredLength(p.type, p.maxLength),
+      precision: p.precision,
+      scale: p.scale
+    });
+    const returnValue = value.parameters.find(p => p.parameterId === 0);
+    const parameters = value.parameters.filter(p => p.parameterId > 0);
+
+    metadataCache.sendCached(req, res, cacheStatus, {
+      database,
+      schema: functionRef.schema,
+      function: functionRef.name,
+      kind: FUNCTION_KINDS[value.object.type],
+      created: value.object.created,
+      modified: value.object.modified,
+      definition: value.definition,
+      parameters: parameters.map(p => ({
+        name: p.name,
+        ...formatType(p),
+        hasDefault: value.defaults ? value.defaults.includes(p.name.replace(/^@/, '').toLowerCase()) : null
+      })),
+      returns: returnValue ? formatType(returnValue) : null,
+      columns: value.columns
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Validate a table route and resolve the table
+ * Sends the 400/403 response itself and returns null when the request is rejected.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {{schema: string, name: string, qualifiedName: string}|null}
+ */
+function resolveTableRequest(req, res) {
+  const { database, table } = req.params;
+
+  // Validate inputs
+  const dbValidation = validateDatabaseName(database);
+  if (!dbValidation.valid) {
+    sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    return null;
+  }
+
+  // Check API key scope
+  const dbAccess = checkDatabaseAccess(req.apiKey, database);
+  if (!dbAccess.allowed) {
+    sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    return null;
+  }
+
+  const tableRef = resolveObjectName(req.params.schema, table, validateTableName);
+  if (!tableRef.valid) {
+    sendError(res, gatewayError(400, 'validation_error', tableRef.error));
+    return null;
+  }
+
+  const tableAccess = checkTableAccess(req.apiKey, tableRef.qualifiedName);
+  if (!tableAccess.allowed) {
+    sendError(res, gatewayError(403, 'forbidden', tableAccess.error));
+    return null;
+  }
+
+  return tableRef;
+}
+
+/**
+ * GET /databases/:database/tables/:table/indexes
+ * GET /databases/:database/schemas/:schema/tables/:table/indexes
+ * Get the indexes of a table with their key and included columns
+ */
+router.get(['/databases/:database/tables/:table/indexes', '/databases/:database/schemas/:schema/tables/:table/indexes'], async (req, res) => {
+  try {
+    const { database } = req.params;
+    const tableRef = resolveTableRequest(req, res);
+    if (!tableRef) return;
+
+    const { value, cacheStatus } = await loadTableKeys(database, tableRef);
+    if (!value) {
+      return sendError(res, gatewayError(404, 'not_found', `Table '${tableRef.qualifiedName}' not found in database '${database}'`));
+    }
+
+    metadataCache.sendCached(req, res, cacheStatus, {
+      database,
+      schema: tableRef.schema,
+      table: tableRef.name,
+      indexes: value.indexes,
+      count: value.indexes.length
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /databases/:database/tables/:table/keys
+ * GET /databases/:database/schemas/:schema/tables/:table/keys
+ * Get the primary key, unique constraints and foreign keys of a table
+ * Foreign keys are split into outbound (this table references another) and inbound
+ * (another table references this one); tables outside the key's scope are left out.
+ */
+router.get(['/databases/:database/tables/:table/keys', '/databases/:database/schemas/:schema/tables/:table/keys'], async (req, res) => {
+  try {
+    const { database } = req.params;
+    const tableRef = resolveTableRequest(req, res);
+    if (!tableRef) return;
+
+    const { value, cacheStatus } = await loadTableKeys(database, tableRef);
+    if (!value) {
+      return sendError(res, gatewayError(404, 'not_found', `Table '${tableRef.qualifiedName}' not found in database '${database}'`));
+    }
+
+    const visible = ref => checkTableAccess(req.apiKey, `${ref.schema}.${ref.name}`).allowed;
+
+    metadataCache.sendCached(req, res, cacheStatus, {
+      database,
+      schema: tableRef.schema,
+      table: tableRef.name,
+      primaryKey: value.primaryKey,
+      uniqueConstraints: value.uniqueConstraints,
+      foreignKeys: {
+        outbound: value.foreignKeys.outbound.filter(fk => visible(fk.referencedTable)),
+        inbound: value.foreignKeys.inbound.filter(fk => visible(fk.table))
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
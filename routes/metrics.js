@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { findKey, hashKey } = require('../key-registry');
+const { getPoolStats } = require('../db-connector');
+const { setPoolStats, renderMetrics } = require('../metrics');
+const { sendError } = require('../error-mapper');
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+/**
+ * Check whether a request may read the metrics
+ * Scrapers send "Authorization: Bearer <METRICS_TOKEN>"; admin API keys are accepted too.
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isAuthorized(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (match && METRICS_TOKEN) {
+    return crypto.timingSafeEqual(hashKey(match[1]), hashKey(METRICS_TOKEN));
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  const key = apiKey ? findKey(apiKey) : null;
+  return Boolean(key && key.enabled && key.admin);
+}
+
+/**
+ * GET /metrics
+ * Gateway metrics in the Prometheus text exposition format
+ */
+router.get('/metrics', async (req, res) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Provide the metrics bearer token or an admin API key.',
+      code: 'unauthorized',
+      retryable: false
+    });
+  }
+
+  try {
+    setPoolStats(await getPoolStats());
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
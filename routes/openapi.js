@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { buildOpenApiDocument } = require('../openapi');
+
+/**
+ * GET /openapi.json
+ * OpenAPI 3.1 description of every gateway route
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument(`${req.protocol}://${req.get('host')}${req.baseUrl}`));
+});
+
+module.exports = router;
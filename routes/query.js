@@ -1,81 +1,269 @@
 const express = require('express');
 const router = express.Router();
-const { executeQuery, executeStoredProcedure } = require('../db-connector');
-const { validateQuery, validateTableName, validateDatabaseName, validateStoredProcedureName } = require('../middleware/validator');
+const { executeQuery, executeStoredProcedure, getEstimatedPlan } = require('../db-connector');
+const { validateQuery, applyRowLimit, validateTableName, validateDatabaseName, validateStoredProcedureName, validateSchemaName, resolveObjectName, extractTableReferences, validateQueryParameters } = require('../middleware/validator');
+const { parsePagination, parseOrderBy, buildPagedQuery, buildOrderByClause, buildKeysetPredicate, buildOffsetFetch, paginateRows, quoteIdentifier } = require('../pagination');
+const { checkDatabaseAccess, checkAdHocQueryAccess, checkTableAccess, checkProcedureAccess, checkAdminAccess } = require('../key-registry');
+const { setAuditContext } = require('../audit-log');
+const metadataCache = require('../metadata-cache');
+const { resolveSelectList, resolveOrderBy, buildFilter } = require('../table-filter');
+const { parseParameterDefaults, bindProcedureParameters } = require('../procedure-parameters');
+const { checkExecutionPolicy, describePolicy } = require('../procedure-policy');
+const { validateBody } = require('../api-schemas');
+const { maskRows, planMasking, isMaskedColumn, checkQueryMasking } = require('../masking-policy');
+const { summarizePlan, checkCostGuard, isCostGuardEnabled, getCostGuardLimits } = require('../query-plan');
+const { gatewayError, sendError } = require('../error-mapper');
+
+// Record the target database for the audit log
+router.param('database', (req, res, next, database) => {
+  setAuditContext(res, { database });
+  next();
+});
+
+/**
+ * Build the bracketed schema.name identifier of a resolved table or procedure
+ * @param {{schema: string, name: string}} ref - Result of resolveObjectName
+ * @returns {string}
+ */
+function qualifiedIdentifier(ref) {
+  return `${quoteIdentifier(ref.schema)}.${quoteIdentifier(ref.name)}`;
+}
+
+/**
+ * Find a masked column among the columns a request filters or orders by
+ * Masked values must not be revealed through filters, ordering or cursors.
+ * @param {string} database - Database name
+ * @param {{qualifiedName: string}} tableRef - Resolved table
+ * @param {string[]} columns - Column names
+ * @returns {string|undefined} The first masked column
+ */
+function findMaskedColumn(database, tableRef, columns) {
+  return columns.find(column => isMaskedColumn(database, tableRef.qualifiedName, column));
+}
+
+/**
+ * Check the estimated plan of a query against the cost guard before it runs
+ * @param {Object} res - Express response (for the audit context)
+ * @param {string} database - Database name
+ * @param {string} query - Query as it will be executed
+ * @param {Object} parameters - Validated bindings
+ * @returns {Promise<{allowed: boolean, error?: string, estimatedCost?: number, estimatedRows?: number}>}
+ */
+async function checkQueryCost(res, database, query, parameters) {
+  if (!isCostGuardEnabled()) {
+    return { allowed: true };
+  }
+
+  const summary = summarizePlan(await getEstimatedPlan(database, query, parameters));
+  setAuditContext(res, { estimatedCost: summary.estimatedCost });
+
+  const guard = checkCostGuard(summary);
+  return { ...guard, estimatedCost: summary.estimatedCost, estimatedRows: summary.maxOperatorRows };
+}
+
+/**
+ * Parameter bindings for metadata queries filtering on @schema and @name
+ * @param {{schema: string, name: string}} ref - Result of resolveObjectName
+ * @returns {Object}
+ */
+function objectParameters(ref) {
+  return {
+    schema: { type: 'nvarchar', length: 128, value: ref.schema },
+    name: { type: 'nvarchar', length: 128, value: ref.name }
+  };
+}
+
+/**
+ * Get the primary key columns of a table in key order
+ * @param {string} database - Database name
+ * @param {{schema: string, name: string}} tableRef - Resolved table
+ * @returns {Promise<string[]>}
+ */
+async function getPrimaryKeyColumns(database, tableRef) {
+  const query = `
+    SELECT kcu.COLUMN_NAME
+    FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+    JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu
+      ON kcu.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+      AND kcu.TABLE_SCHEMA = tc.TABLE_SCHEMA
+      AND kcu.TABLE_NAME = tc.TABLE_NAME
+    WHERE tc.CONSTRAINT_TYPE = 'PRIMARY KEY' AND tc.TABLE_SCHEMA = @schema AND tc.TABLE_NAME = @name
+    ORDER BY kcu.ORDINAL_POSITION
+  `;
+
+  const rows = await executeQuery(database, query, objectParameters(tableRef));
+  return rows.map(row => row.COLUMN_NAME);
+}
+
+/**
+ * Load a table's columns (INFORMATION_SCHEMA.COLUMNS) through the metadata cache
+ * @param {string} database - Database name
+ * @param {{schema: string, name: string, qualifiedName: string}} tableRef - Resolved table
+ * @returns {Promise<{value: Array<Object>, cacheStatus: string}>} Columns in ordinal order; empty if the table does not exist
+ */
+function loadTableColumns(database, tableRef) {
+  const query = `
+    SELECT
+      COLUMN_NAME as name,
+      DATA_TYPE as type,
+      CHARACTER_MAXIMUM_LENGTH as maxLength,
+      NUMERIC_PRECISION as numericPrecision,
+      NUMERIC_SCALE as numericScale,
+      DATETIME_PRECISION as datetimePrecision,
+      IS_NULLABLE as nullable,
+      COLUMN_DEFAULT as defaultValue
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = @schema AND TABLE_NAME = @name
+    ORDER BY ORDINAL_POSITION
+  `;
+
+  return metadataCache.getOrLoad(database, `schema:${tableRef.qualifiedName}`, () => executeQuery(database, query, objectParameters(tableRef)));
+}
+
+/**
+ * Load a stored procedure's info and parameters through the metadata cache
+ * @param {string} database - Database name
+ * @param {{schema: string, name: string, qualifiedName: string}} procRef - Resolved stored procedure
+ * @returns {Promise<{value: {infoResult: Array, paramsResult: Array, defaults: string[]|null}, cacheStatus: string}>}
+ *   defaults lists the parameters (lowercase, without @) that declare a default value, or null if unknown
+ */
+function loadProcedureMetadata(database, procRef) {
+  return metadataCache.getOrLoad(database, `procedure:${procRef.qualifiedName}`, async () => {
+    // Get procedure info
+    const infoQuery = `
+      SELECT ROUTINE_SCHEMA, ROUTINE_NAME, ROUTINE_DEFINITION, CREATED, LAST_ALTERED
+      FROM INFORMATION_SCHEMA.ROUTINES
+      WHERE ROUTINE_SCHEMA = @schema AND ROUTINE_NAME = @name AND ROUTINE_TYPE = 'PROCEDURE'
+    `;
+    const infoResult = await executeQuery(database, infoQuery, objectParameters(procRef));
+
+    if (infoResult.length === 0) {
+      return { infoResult, paramsResult: [], defaults: null };
+    }
+
+    // Get parameters
+    const paramsQuery = `
+      SELECT PARAMETER_NAME, DATA_TYPE, PARAMETER_MODE, CHARACTER_MAXIMUM_LENGTH,
+        NUMERIC_PRECISION, NUMERIC_SCALE, DATETIME_PRECISION
+      FROM INFORMATION_SCHEMA.PARAMETERS
+      WHERE SPECIFIC_SCHEMA = @schema AND SPECIFIC_NAME = @name
+      ORDER BY ORDINAL_POSITION
+    `;
+    const paramsResult = await executeQuery(database, paramsQuery, objectParameters(procRef));
+    const defaults = parseParameterDefaults(infoResult[0].ROUTINE_DEFINITION);
+
+    return { infoResult, paramsResult, defaults: defaults && [...defaults] };
+  });
+}
+
+/**
+ * Format an INFORMATION_SCHEMA.PARAMETERS row for a response
+ * @param {Object} parameter - Parameter row
+ * @param {string[]|null} defaults - Parameters with a default (lowercase, without @), or null if unknown
+ * @returns {Object}
+ */
+function formatProcedureParameter(parameter, defaults) {
+  const name = parameter.PARAMETER_NAME.replace(/^@/, '').toLowerCase();
+  return {
+    name: parameter.PARAMETER_NAME,
+    type: parameter.DATA_TYPE,
+    mode: parameter.PARAMETER_MODE,
+    maxLength: parameter.CHARACTER_MAXIMUM_LENGTH,
+    hasDefault: defaults ? defaults.includes(name) : null
+  };
+}
 
 /**
  * GET /databases/:database/tables
- * Get list of tables in a database
+ * GET /databases/:database/schemas/:schema/tables
+ * Get list of tables in a database (optionally limited to one schema)
  */
-router.get('/databases/:database/tables', async (req, res) => {
+router.get(['/databases/:database/tables', '/databases/:database/schemas/:schema/tables'], async (req, res) => {
   try {
-    const { database } = req.params;
+    const { database, schema } = req.params;
 
     // Validate database name
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    if (schema !== undefined) {
+      const schemaValidation = validateSchemaName(schema);
+      if (!schemaValidation.valid) {
+        return sendError(res, gatewayError(400, 'validation_error', schemaValidation.error));
+      }
     }
 
     const query = `
-      SELECT TABLE_NAME
+      SELECT TABLE_SCHEMA, TABLE_NAME
       FROM INFORMATION_SCHEMA.TABLES
       WHERE TABLE_TYPE = 'BASE TABLE'
-      ORDER BY TABLE_NAME
+      ORDER BY TABLE_SCHEMA, TABLE_NAME
     `;
 
-    const tables = await executeQuery(database, query);
-    res.json({
+    const { value, cacheStatus } = await metadataCache.getOrLoad(database, 'tables', () => executeQuery(database, query));
+    const tables = value.filter(t =>
+      (schema === undefined || t.TABLE_SCHEMA.toLowerCase() === schema.toLowerCase()) &&
+      checkTableAccess(req.apiKey, `${t.TABLE_SCHEMA}.${t.TABLE_NAME}`).allowed
+    );
+    metadataCache.sendCached(req, res, cacheStatus, {
       database,
-      tables: tables.map(t => t.TABLE_NAME),
+      tables: tables.map(t => ({ schema: t.TABLE_SCHEMA, name: t.TABLE_NAME })),
       count: tables.length
     });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * GET /databases/:database/tables/:table/schema
+ * GET /databases/:database/schemas/:schema/tables/:table/schema
  * Get schema information for a table
  */
-router.get('/databases/:database/tables/:table/schema', async (req, res) => {
+router.get(['/databases/:database/tables/:table/schema', '/databases/:database/schemas/:schema/tables/:table/schema'], async (req, res) => {
   try {
     const { database, table } = req.params;
 
     // Validate inputs
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
     }
 
-    const tableValidation = validateTableName(table);
-    if (!tableValidation.valid) {
-      return res.status(400).json({ error: tableValidation.error });
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
     }
 
-    const query = `
-      SELECT
-        COLUMN_NAME as name,
-        DATA_TYPE as type,
-        CHARACTER_MAXIMUM_LENGTH as maxLength,
-        IS_NULLABLE as nullable,
-        COLUMN_DEFAULT as defaultValue
-      FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_NAME = '${table}'
-      ORDER BY ORDINAL_POSITION
-    `;
+    const tableRef = resolveObjectName(req.params.schema, table, validateTableName);
+    if (!tableRef.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', tableRef.error));
+    }
 
-    const columns = await executeQuery(database, query);
+    const tableAccess = checkTableAccess(req.apiKey, tableRef.qualifiedName);
+    if (!tableAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', tableAccess.error));
+    }
+
+    const { value: columns, cacheStatus } = await loadTableColumns(database, tableRef);
 
     if (columns.length === 0) {
-      return res.status(404).json({ error: `Table '${table}' not found in database '${database}'` });
+      return sendError(res, gatewayError(404, 'not_found', `Table '${tableRef.qualifiedName}' not found in database '${database}'`));
     }
 
-    res.json({
+    metadataCache.sendCached(req, res, cacheStatus, {
       database,
-      table,
+      schema: tableRef.schema,
+      table: tableRef.name,
       columns: columns.map(c => ({
         name: c.name,
         type: c.type,
@@ -86,53 +274,66 @@ router.get('/databases/:database/tables/:table/schema', async (req, res) => {
       columnCount: columns.length
     });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * GET /databases/:database/tables/:table/stats
+ * GET /databases/:database/schemas/:schema/tables/:table/stats
  * Get statistics for a table
  */
-router.get('/databases/:database/tables/:table/stats', async (req, res) => {
+router.get(['/databases/:database/tables/:table/stats', '/databases/:database/schemas/:schema/tables/:table/stats'], async (req, res) => {
   try {
     const { database, table } = req.params;
 
     // Validate inputs
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    const tableRef = resolveObjectName(req.params.schema, table, validateTableName);
+    if (!tableRef.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', tableRef.error));
     }
 
-    const tableValidation = validateTableName(table);
-    if (!tableValidation.valid) {
-      return res.status(400).json({ error: tableValidation.error });
+    const tableAccess = checkTableAccess(req.apiKey, tableRef.qualifiedName);
+    if (!tableAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', tableAccess.error));
     }
 
     // Get row count
-    const countQuery = `SELECT COUNT(*) as rowCount FROM [${table}]`;
+    const countQuery = `SELECT COUNT(*) as rowCount FROM ${qualifiedIdentifier(tableRef)}`;
     const countResult = await executeQuery(database, countQuery);
 
     // Get column count
     const columnQuery = `
       SELECT COUNT(*) as columnCount
       FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_NAME = '${table}'
+      WHERE TABLE_SCHEMA = @schema AND TABLE_NAME = @name
     `;
-    const columnResult = await executeQuery(database, columnQuery);
+    const columnResult = await executeQuery(database, columnQuery, objectParameters(tableRef));
 
     // Get table size (approximate)
     const sizeQuery = `
       SELECT
         SUM(reserved_page_count) * 8 as sizeKB
       FROM sys.dm_db_partition_stats
-      WHERE object_id = OBJECT_ID('${table}')
+      WHERE object_id = OBJECT_ID(@object)
     `;
 
     let sizeKB = null;
     try {
-      const sizeResult = await executeQuery(database, sizeQuery);
+      const sizeResult = await executeQuery(database, sizeQuery, {
+        object: { type: 'nvarchar', length: 'max', value: qualifiedIdentifier(tableRef) }
+      });
       sizeKB = sizeResult[0]?.sizeKB || null;
     } catch {
       // Size query might fail due to permissions, ignore
@@ -140,130 +341,459 @@ router.get('/databases/:database/tables/:table/stats', async (req, res) => {
 
     res.json({
       database,
-      table,
+      schema: tableRef.schema,
+      table: tableRef.name,
       rowCount: countResult[0]?.rowCount || 0,
       columnCount: columnResult[0]?.columnCount || 0,
       sizeKB
     });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * POST /databases/:database/query
  * Execute a SELECT query
+ * Body: { query, parameters? } where parameters maps names used as @name in the query
+ * to typed bindings, e.g. { "customerId": { "type": "int", "value": 5 } }
+ * Pagination: { page, pageSize } or { mode: "cursor", orderBy, pageSize } / { cursor },
+ * with optional includeTotal. Without pagination options results are limited to TOP 1000.
+ * Columns covered by the masking policy are masked in the rows and listed in masking, and
+ * cannot be used in orderBy.
+ * With QUERY_MAX_ESTIMATED_COST / QUERY_MAX_ESTIMATED_ROWS set, queries whose estimated plan
+ * exceeds a threshold are rejected before they run.
  */
-router.post('/databases/:database/query', async (req, res) => {
+router.post('/databases/:database/query', validateBody('QueryRequest'), async (req, res) => {
   try {
     const { database } = req.params;
-    const { query } = req.body;
+    const { query, parameters = {} } = req.body;
 
     // Validate database name
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
     }
 
-    // Validate query
-    const queryValidation = validateQuery(query);
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    // Keys restricted to saved queries cannot run their own SQL
+    const adHocAccess = checkAdHocQueryAccess(req.apiKey);
+    if (!adHocAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', adHocAccess.error));
+    }
+
+    // Validate query (the submitted text is audited even when rejected)
+    setAuditContext(res, { sql: query });
+    const queryValidation = validateQuery(query, { database });
     if (!queryValidation.valid) {
-      return res.status(400).json({ error: queryValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', queryValidation.error, { position: queryValidation.position }));
+    }
+
+    // Validate parameter bindings
+    const paramValidation = validateQueryParameters(query, parameters);
+    if (!paramValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', paramValidation.error));
+    }
+
+    const sourceTables = extractTableReferences(query);
+    for (const table of sourceTables) {
+      const tableAccess = checkTableAccess(req.apiKey, table);
+      if (!tableAccess.allowed) {
+        return sendError(res, gatewayError(403, 'forbidden', tableAccess.error));
+      }
+    }
+
+    // Masked columns must keep their names so they are masked in the results
+    const maskingCheck = checkQueryMasking(database, sourceTables, query);
+    if (!maskingCheck.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', maskingCheck.error));
+    }
+
+    // Validate pagination options
+    const source = `${database}:${query}`;
+    const pagination = parsePagination(req.body, source);
+    if (!pagination.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', pagination.error));
+    }
+
+    if (pagination.enabled) {
+      // Row order and cursors would reveal the values of masked orderBy columns
+      if (pagination.orderBy) {
+        const [maskedOrderColumn] = planMasking(database, sourceTables, pagination.orderBy.map(item => item.column));
+        if (maskedOrderColumn) {
+          return sendError(res, gatewayError(403, 'forbidden', `Column '${maskedOrderColumn.column}' is masked and cannot be used in orderBy; provide orderBy on unmasked columns`));
+        }
+      }
+
+      const paged = buildPagedQuery(query, pagination);
+      if (!paged.valid) {
+        return sendError(res, gatewayError(400, 'validation_error', paged.error));
+      }
+
+      setAuditContext(res, { sql: paged.query, parameterNames: Object.keys(parameters || {}) });
+      const cost = await checkQueryCost(res, database, paged.query, { ...parameters, ...paged.parameters });
+      if (!cost.allowed) {
+        return sendError(res, gatewayError(400, 'cost_limit_exceeded', cost.error, { estimatedCost: cost.estimatedCost, estimatedRows: cost.estimatedRows, limits: getCostGuardLimits() }));
+      }
+
+      // The count query scans the whole result, so it is guarded on its own plan
+      if (pagination.includeTotal) {
+        const countCost = await checkQueryCost(res, database, paged.countQuery, parameters || {});
+        if (!countCost.allowed) {
+          return sendError(res, gatewayError(400, 'cost_limit_exceeded', `includeTotal: ${countCost.error}`, { estimatedCost: countCost.estimatedCost, estimatedRows: countCost.estimatedRows, limits: getCostGuardLimits() }));
+        }
+        if (countCost.estimatedCost !== undefined) {
+          // Audit the costlier of the two plans
+          setAuditContext(res, { estimatedCost: Math.max(cost.estimatedCost, countCost.estimatedCost) });
+        }
+      }
+
+      const rows = await executeQuery(database, paged.query, { ...parameters, ...paged.parameters });
+      const page = paginateRows(rows, pagination, source);
+      setAuditContext(res, { rowCount: page.rows.length });
+      const masked = maskRows(database, sourceTables, page.rows);
+
+      const response = {
+        database,
+        rows: masked.rows,
+        count: page.rows.length,
+        masking: masked.masking,
+        ...page.meta
+      };
+
+      if (pagination.includeTotal) {
+        const totalResult = await executeQuery(database, paged.countQuery, parameters || {});
+        response.total = totalResult[0]?.total || 0;
+      }
+
+      return res.json(response);
     }
 
     // Add TOP 1000 limit if not present
-    let finalQuery = query;
-    if (!query.toUpperCase().includes('TOP ')) {
-      finalQuery = query.replace(/SELECT/i, 'SELECT TOP 1000');
+    const { query: finalQuery, limited } = applyRowLimit(query, 1000);
+
+    setAuditContext(res, { sql: finalQuery, parameterNames: Object.keys(parameters || {}) });
+    const cost = await checkQueryCost(res, database, finalQuery, parameters || {});
+    if (!cost.allowed) {
+      return sendError(res, gatewayError(400, 'cost_limit_exceeded', cost.error, { estimatedCost: cost.estimatedCost, estimatedRows: cost.estimatedRows, limits: getCostGuardLimits() }));
     }
 
-    const rows = await executeQuery(database, finalQuery);
+    const rows = await executeQuery(database, finalQuery, parameters || {});
+    setAuditContext(res, { rowCount: rows.length });
+    const masked = maskRows(database, sourceTables, rows);
     res.json({
       database,
-      rows,
+      rows: masked.rows,
       count: rows.length,
-      limited: !query.toUpperCase().includes('TOP ')
+      masking: masked.masking,
+      limited
     });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /databases/:database/explain
+ * Get the estimated execution plan of a SELECT query without running it
+ * Body: { query, parameters?, includeXml? }
+ * The plan (SHOWPLAN_XML) is summarized into operators with estimated rows and costs;
+ * the query is explained as submitted, without the TOP 1000 of the query route.
+ */
+router.post('/databases/:database/explain', validateBody('ExplainRequest'), async (req, res) => {
+  try {
+    const { database } = req.params;
+    const { query, parameters = {}, includeXml = false } = req.body;
+
+    // Validate database name
+    const dbValidation = validateDatabaseName(database);
+    if (!dbValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    // Keys restricted to saved queries cannot run their own SQL
+    const adHocAccess = checkAdHocQueryAccess(req.apiKey);
+    if (!adHocAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', adHocAccess.error));
+    }
+
+    // Validate query (the submitted text is audited even when rejected)
+    setAuditContext(res, { sql: query });
+    const queryValidation = validateQuery(query, { database });
+    if (!queryValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', queryValidation.error, { position: queryValidation.position }));
+    }
+
+    // Validate parameter bindings
+    const paramValidation = validateQueryParameters(query, parameters);
+    if (!paramValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', paramValidation.error));
+    }
+
+    for (const table of extractTableReferences(query)) {
+      const tableAccess = checkTableAccess(req.apiKey, table);
+      if (!tableAccess.allowed) {
+        return sendError(res, gatewayError(403, 'forbidden', tableAccess.error));
+      }
+    }
+
+    setAuditContext(res, { parameterNames: Object.keys(parameters || {}) });
+    const plan = await getEstimatedPlan(database, query, parameters || {});
+    const summary = summarizePlan(plan);
+    setAuditContext(res, { estimatedCost: summary.estimatedCost });
+
+    const response = {
+      database,
+      ...summary,
+      guard: {
+        ...getCostGuardLimits(),
+        wouldReject: isCostGuardEnabled() && !checkCostGuard(summary).allowed
+      }
+    };
+    if (includeXml) {
+      response.plan = plan;
+    }
+
+    res.json(response);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 /**
  * POST /databases/:database/tables/:table/data
+ * POST /databases/:database/schemas/:schema/tables/:table/data
  * Get data from a table with optional filtering
+ * Body: { columns?, where?: [{ column, op, value }], orderBy?, limit? } plus pagination options.
+ * where conditions are combined with AND; columns, where and orderBy must name columns of the
+ * table and filter values are bound as parameters typed after their column.
+ * Pagination: { page, pageSize } or { mode: "cursor", pageSize } / { cursor }; rows are
+ * ordered by orderBy when given, otherwise by the primary key.
+ * Masked columns (see masking-policy.js) are masked in the rows and cannot be used in where or orderBy.
  */
-router.post('/databases/:database/tables/:table/data', async (req, res) => {
+router.post(['/databases/:database/tables/:table/data', '/databases/:database/schemas/:schema/tables/:table/data'], validateBody('TableDataRequest'), async (req, res) => {
   try {
     const { database, table } = req.params;
-    const { limit = 1000, columns = '*' } = req.body;
+    const { limit = 1000, columns = '*', where, orderBy } = req.body;
 
     // Validate inputs
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    // Keys restricted to saved queries cannot read or execute outside them
+    const adHocAccess = checkAdHocQueryAccess(req.apiKey);
+    if (!adHocAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', adHocAccess.error));
+    }
+
+    const tableRef = resolveObjectName(req.params.schema, table, validateTableName);
+    if (!tableRef.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', tableRef.error));
     }
 
-    const tableValidation = validateTableName(table);
-    if (!tableValidation.valid) {
-      return res.status(400).json({ error: tableValidation.error });
+    const tableAccess = checkTableAccess(req.apiKey, tableRef.qualifiedName);
+    if (!tableAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', tableAccess.error));
     }
 
     // Validate limit
     const safeLimit = Math.min(Math.max(1, parseInt(limit) || 1000), 1000);
 
-    // Validate columns (only allow alphanumeric, underscore, comma, space, asterisk)
-    let safeColumns = '*';
-    if (columns !== '*') {
-      const columnPattern = /^[a-zA-Z0-9_,\s*]+$/;
-      if (columnPattern.test(columns)) {
-        safeColumns = columns;
+    // Column names are checked against the table definition
+    const { value: tableColumns } = await loadTableColumns(database, tableRef);
+    if (tableColumns.length === 0) {
+      return sendError(res, gatewayError(404, 'not_found', `Table '${tableRef.qualifiedName}' not found in database '${database}'`));
+    }
+
+    const selection = resolveSelectList(tableColumns, columns, tableRef.qualifiedName);
+    if (!selection.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', selection.error));
+    }
+
+    const filter = buildFilter(where, tableColumns, tableRef.qualifiedName);
+    if (!filter.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', filter.error));
+    }
+
+    const maskedFilterColumn = findMaskedColumn(database, tableRef, (where || []).map(condition => condition.column));
+    if (maskedFilterColumn) {
+      return sendError(res, gatewayError(403, 'forbidden', `Column '${maskedFilterColumn}' of table '${tableRef.qualifiedName}' is masked and cannot be used in where`));
+    }
+
+    // Validate pagination options (cursors are bound to the filter they were issued for)
+    const source = filter.clause ? `${database}.${tableRef.qualifiedName}?${JSON.stringify(where)}` : `${database}.${tableRef.qualifiedName}`;
+    const pagination = parsePagination(req.body, source);
+    if (!pagination.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', pagination.error));
+    }
+
+    if (pagination.enabled) {
+      if (pagination.orderBy) {
+        const ordering = resolveOrderBy(tableColumns, pagination.orderBy, tableRef.qualifiedName);
+        if (!ordering.valid) {
+          return sendError(res, gatewayError(400, 'validation_error', ordering.error));
+        }
+        pagination.orderBy = ordering.orderBy;
+      } else {
+        const keyColumns = await getPrimaryKeyColumns(database, tableRef);
+        if (keyColumns.length === 0) {
+          return sendError(res, gatewayError(400, 'validation_error', `Table '${tableRef.qualifiedName}' has no primary key; provide orderBy to paginate`));
+        }
+        pagination.orderBy = keyColumns.map(column => ({ column, dir: 'asc' }));
+      }
+
+      const maskedOrderColumn = findMaskedColumn(database, tableRef, pagination.orderBy.map(item => item.column));
+      if (maskedOrderColumn) {
+        return sendError(res, gatewayError(403, 'forbidden', `Column '${maskedOrderColumn}' of table '${tableRef.qualifiedName}' is masked and cannot be used to order or paginate; provide orderBy on unmasked columns`));
+      }
+
+      // Cursor values are read from aliased ordering columns so any column list works
+      const cursorKeys = pagination.orderBy.map((item, index) => `__cursor${index}`);
+      const cursorColumns = pagination.mode === 'cursor'
+        ? pagination.orderBy.map((item, index) => `, ${quoteIdentifier(item.column)} AS [${cursorKeys[index]}]`).join('')
+        : '';
+
+      const fetch = buildOffsetFetch(pagination);
+      const parameters = { ...filter.parameters, ...fetch.parameters };
+      const predicates = filter.clause ? [filter.clause] : [];
+      if (pagination.after) {
+        const keyset = buildKeysetPredicate(pagination.orderBy, pagination.after);
+        predicates.push(keyset.clause);
+        Object.assign(parameters, keyset.parameters);
+      }
+      const whereClause = predicates.length > 0 ? ` WHERE ${predicates.join(' AND ')}` : '';
+
+      const query = `SELECT ${selection.clause}${cursorColumns} FROM ${qualifiedIdentifier(tableRef)}${whereClause} ORDER BY ${buildOrderByClause(pagination.orderBy)} ${fetch.clause}`;
+      setAuditContext(res, { sql: query, parameterNames: Object.keys(parameters) });
+      const rows = await executeQuery(database, query, parameters);
+      const page = paginateRows(rows, pagination, source, cursorKeys);
+      setAuditContext(res, { rowCount: page.rows.length });
+      const masked = maskRows(database, [tableRef.qualifiedName], page.rows.map(row => {
+        const clean = { ...row };
+        cursorKeys.forEach(key => delete clean[key]);
+        return clean;
+      }));
+
+      const response = {
+        database,
+        schema: tableRef.schema,
+        table: tableRef.name,
+        rows: masked.rows,
+        count: page.rows.length,
+        masking: masked.masking,
+        ...page.meta
+      };
+
+      if (pagination.includeTotal) {
+        const countWhere = filter.clause ? ` WHERE ${filter.clause}` : '';
+        const totalResult = await executeQuery(database, `SELECT COUNT(*) AS total FROM ${qualifiedIdentifier(tableRef)}${countWhere}`, filter.parameters);
+        response.total = totalResult[0]?.total || 0;
       }
+
+      return res.json(response);
     }
 
-    const query = `SELECT TOP ${safeLimit} ${safeColumns} FROM [${table}]`;
-    const rows = await executeQuery(database, query);
+    let orderByClause = '';
+    if (orderBy !== undefined) {
+      const orderByValidation = parseOrderBy(orderBy);
+      if (!orderByValidation.valid) {
+        return sendError(res, gatewayError(400, 'validation_error', orderByValidation.error));
+      }
+      const ordering = resolveOrderBy(tableColumns, orderByValidation.orderBy, tableRef.qualifiedName);
+      if (!ordering.valid) {
+        return sendError(res, gatewayError(400, 'validation_error', ordering.error));
+      }
+      const maskedOrderColumn = findMaskedColumn(database, tableRef, ordering.orderBy.map(item => item.column));
+      if (maskedOrderColumn) {
+        return sendError(res, gatewayError(403, 'forbidden', `Column '${maskedOrderColumn}' of table '${tableRef.qualifiedName}' is masked and cannot be used in orderBy`));
+      }
+      orderByClause = ` ORDER BY ${buildOrderByClause(ordering.orderBy)}`;
+    }
+
+    const whereClause = filter.clause ? ` WHERE ${filter.clause}` : '';
+    const query = `SELECT TOP ${safeLimit} ${selection.clause} FROM ${qualifiedIdentifier(tableRef)}${whereClause}${orderByClause}`;
+    setAuditContext(res, { sql: query, parameterNames: Object.keys(filter.parameters) });
+    const rows = await executeQuery(database, query, filter.parameters);
+    setAuditContext(res, { rowCount: rows.length });
+    const masked = maskRows(database, [tableRef.qualifiedName], rows);
 
     res.json({
       database,
-      table,
-      rows,
+      schema: tableRef.schema,
+      table: tableRef.name,
+      rows: masked.rows,
       count: rows.length,
+      masking: masked.masking,
       limit: safeLimit
     });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * GET /databases/:database/stored-procedures
- * Get list of stored procedures in a database
+ * GET /databases/:database/schemas/:schema/stored-procedures
+ * Get list of stored procedures in a database (optionally limited to one schema)
  */
-router.get('/databases/:database/stored-procedures', async (req, res) => {
+router.get(['/databases/:database/stored-procedures', '/databases/:database/schemas/:schema/stored-procedures'], async (req, res) => {
   try {
-    const { database } = req.params;
+    const { database, schema } = req.params;
 
     // Validate database name
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    if (schema !== undefined) {
+      const schemaValidation = validateSchemaName(schema);
+      if (!schemaValidation.valid) {
+        return sendError(res, gatewayError(400, 'validation_error', schemaValidation.error));
+      }
     }
 
     const query = `
-      SELECT ROUTINE_NAME, CREATED, LAST_ALTERED
+      SELECT ROUTINE_SCHEMA, ROUTINE_NAME, CREATED, LAST_ALTERED
       FROM INFORMATION_SCHEMA.ROUTINES
       WHERE ROUTINE_TYPE = 'PROCEDURE'
-      ORDER BY ROUTINE_NAME
+      ORDER BY ROUTINE_SCHEMA, ROUTINE_NAME
     `;
 
-    const procedures = await executeQuery(database, query);
-    res.json({
+    const { value, cacheStatus } = await metadataCache.getOrLoad(database, 'procedures', () => executeQuery(database, query));
+    const procedures = value.filter(p =>
+      (schema === undefined || p.ROUTINE_SCHEMA.toLowerCase() === schema.toLowerCase()) &&
+      checkProcedureAccess(req.apiKey, `${p.ROUTINE_SCHEMA}.${p.ROUTINE_NAME}`).allowed
+    );
+    metadataCache.sendCached(req, res, cacheStatus, {
       database,
       procedures: procedures.map(p => ({
+        schema: p.ROUTINE_SCHEMA,
         name: p.ROUTINE_NAME,
         created: p.CREATED,
         lastAltered: p.LAST_ALTERED
@@ -271,200 +801,282 @@ router.get('/databases/:database/stored-procedures', async (req, res) => {
       count: procedures.length
     });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * GET /databases/:database/stored-procedures/:procedure
+ * GET /databases/:database/schemas/:schema/stored-procedures/:procedure
  * Get detailed information for a stored procedure (definition + parameters)
  */
-router.get('/databases/:database/stored-procedures/:procedure', async (req, res) => {
+router.get(['/databases/:database/stored-procedures/:procedure', '/databases/:database/schemas/:schema/stored-procedures/:procedure'], async (req, res) => {
   try {
     const { database, procedure } = req.params;
 
     // Validate inputs
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
     }
 
-    const procValidation = validateStoredProcedureName(procedure);
-    if (!procValidation.valid) {
-      return res.status(400).json({ error: procValidation.error });
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
     }
 
-    // Get procedure info
-    const infoQuery = `
-      SELECT ROUTINE_NAME, ROUTINE_DEFINITION, CREATED, LAST_ALTERED
-      FROM INFORMATION_SCHEMA.ROUTINES
-      WHERE ROUTINE_NAME = '${procedure}' AND ROUTINE_TYPE = 'PROCEDURE'
-    `;
-    const infoResult = await executeQuery(database, infoQuery);
+    const procRef = resolveObjectName(req.params.schema, procedure, validateStoredProcedureName);
+    if (!procRef.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', procRef.error));
+    }
 
-    if (infoResult.length === 0) {
-      return res.status(404).json({ error: `Stored procedure '${procedure}' not found in database '${database}'` });
+    const procAccess = checkProcedureAccess(req.apiKey, procRef.qualifiedName);
+    if (!procAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', procAccess.error));
     }
 
-    // Get parameters
-    const paramsQuery = `
-      SELECT PARAMETER_NAME, DATA_TYPE, PARAMETER_MODE, CHARACTER_MAXIMUM_LENGTH
-      FROM INFORMATION_SCHEMA.PARAMETERS
-      WHERE SPECIFIC_NAME = '${procedure}'
-      ORDER BY ORDINAL_POSITION
-    `;
-    const paramsResult = await executeQuery(database, paramsQuery);
+    const { value, cacheStatus } = await loadProcedureMetadata(database, procRef);
+    const { infoResult, paramsResult } = value;
+
+    if (infoResult.length === 0) {
+      return sendError(res, gatewayError(404, 'not_found', `Stored procedure '${procRef.qualifiedName}' not found in database '${database}'`));
+    }
 
     const info = infoResult[0];
-    res.json({
+    metadataCache.sendCached(req, res, cacheStatus, {
       database,
+      schema: info.ROUTINE_SCHEMA,
       procedure: info.ROUTINE_NAME,
       created: info.CREATED,
       lastAltered: info.LAST_ALTERED,
       definition: info.ROUTINE_DEFINITION,
-      parameters: paramsResult.map(p => ({
-        name: p.PARAMETER_NAME,
-        type: p.DATA_TYPE,
-        mode: p.PARAMETER_MODE,
-        maxLength: p.CHARACTER_MAXIMUM_LENGTH
-      }))
+      parameters: paramsResult.map(p => formatProcedureParameter(p, value.defaults)),
+      policy: describePolicy(database, procRef.qualifiedName)
     });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * GET /databases/:database/stored-procedures/:procedure/definition
+ * GET /databases/:database/schemas/:schema/stored-procedures/:procedure/definition
  * Get stored procedure definition (source code)
  */
-router.get('/databases/:database/stored-procedures/:procedure/definition', async (req, res) => {
+router.get(['/databases/:database/stored-procedures/:procedure/definition', '/databases/:database/schemas/:schema/stored-procedures/:procedure/definition'], async (req, res) => {
   try {
     const { database, procedure } = req.params;
 
     // Validate inputs
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
     }
 
-    const procValidation = validateStoredProcedureName(procedure);
-    if (!procValidation.valid) {
-      return res.status(400).json({ error: procValidation.error });
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
     }
 
-    const query = `
-      SELECT ROUTINE_DEFINITION
-      FROM INFORMATION_SCHEMA.ROUTINES
-      WHERE ROUTINE_NAME = '${procedure}' AND ROUTINE_TYPE = 'PROCEDURE'
-    `;
+    const procRef = resolveObjectName(req.params.schema, procedure, validateStoredProcedureName);
+    if (!procRef.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', procRef.error));
+    }
 
-    const result = await executeQuery(database, query);
+    const procAccess = checkProcedureAccess(req.apiKey, procRef.qualifiedName);
+    if (!procAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', procAccess.error));
+    }
+
+    const { value, cacheStatus } = await loadProcedureMetadata(database, procRef);
+    const result = value.infoResult;
 
     if (result.length === 0) {
-      return res.status(404).json({ error: `Stored procedure '${procedure}' not found in database '${database}'` });
+      return sendError(res, gatewayError(404, 'not_found', `Stored procedure '${procRef.qualifiedName}' not found in database '${database}'`));
     }
 
-    res.json({
+    metadataCache.sendCached(req, res, cacheStatus, {
       database,
-      procedure,
+      schema: procRef.schema,
+      procedure: procRef.name,
       definition: result[0].ROUTINE_DEFINITION
     });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * GET /databases/:database/stored-procedures/:procedure/parameters
+ * GET /databases/:database/schemas/:schema/stored-procedures/:procedure/parameters
  * Get stored procedure parameters
  */
-router.get('/databases/:database/stored-procedures/:procedure/parameters', async (req, res) => {
+router.get(['/databases/:database/stored-procedures/:procedure/parameters', '/databases/:database/schemas/:schema/stored-procedures/:procedure/parameters'], async (req, res) => {
   try {
     const { database, procedure } = req.params;
 
     // Validate inputs
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
     }
 
-    const procValidation = validateStoredProcedureName(procedure);
-    if (!procValidation.valid) {
-      return res.status(400).json({ error: procValidation.error });
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
     }
 
-    // First check if the procedure exists
-    const checkQuery = `
-      SELECT ROUTINE_NAME
-      FROM INFORMATION_SCHEMA.ROUTINES
-      WHERE ROUTINE_NAME = '${procedure}' AND ROUTINE_TYPE = 'PROCEDURE'
-    `;
-    const checkResult = await executeQuery(database, checkQuery);
+    const procRef = resolveObjectName(req.params.schema, procedure, validateStoredProcedureName);
+    if (!procRef.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', procRef.error));
+    }
 
-    if (checkResult.length === 0) {
-      return res.status(404).json({ error: `Stored procedure '${procedure}' not found in database '${database}'` });
+    const procAccess = checkProcedureAccess(req.apiKey, procRef.qualifiedName);
+    if (!procAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', procAccess.error));
     }
 
-    const query = `
-      SELECT PARAMETER_NAME, DATA_TYPE, PARAMETER_MODE, CHARACTER_MAXIMUM_LENGTH
-      FROM INFORMATION_SCHEMA.PARAMETERS
-      WHERE SPECIFIC_NAME = '${procedure}'
-      ORDER BY ORDINAL_POSITION
-    `;
+    // The procedure must exist (parameters are only loaded for existing procedures)
+    const { value, cacheStatus } = await loadProcedureMetadata(database, procRef);
 
-    const parameters = await executeQuery(database, query);
+    if (value.infoResult.length === 0) {
+      return sendError(res, gatewayError(404, 'not_found', `Stored procedure '${procRef.qualifiedName}' not found in database '${database}'`));
+    }
 
-    res.json({
+    const parameters = value.paramsResult;
+
+    metadataCache.sendCached(req, res, cacheStatus, {
       database,
-      procedure,
-      parameters: parameters.map(p => ({
-        name: p.PARAMETER_NAME,
-        type: p.DATA_TYPE,
-        mode: p.PARAMETER_MODE,
-        maxLength: p.CHARACTER_MAXIMUM_LENGTH
-      })),
+      schema: procRef.schema,
+      procedure: procRef.name,
+      parameters: parameters.map(p => formatProcedureParameter(p, value.defaults)),
       count: parameters.length
     });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * POST /databases/:database/stored-procedures/execute
+ * POST /databases/:database/schemas/:schema/stored-procedures/execute
  * Execute a stored procedure
+ * Values are bound with the types declared in INFORMATION_SCHEMA.PARAMETERS; OUTPUT parameters
+ * are always registered and returned in outputParameters. Unknown parameters and missing
+ * parameters without a default are rejected.
+ * Only procedures listed in the procedure policy can be executed. With dryRun: true the
+ * procedure runs inside a transaction that is always rolled back.
+ * Every masking rule of the database applies to the result sets.
  */
-router.post('/databases/:database/stored-procedures/execute', async (req, res) => {
+router.post(['/databases/:database/stored-procedures/execute', '/databases/:database/schemas/:schema/stored-procedures/execute'], validateBody('ExecuteProcedureRequest'), async (req, res) => {
   try {
     const { database } = req.params;
-    const { procedure, parameters = {} } = req.body;
+    const { procedure, parameters = {}, dryRun = false } = req.body;
 
     // Validate database name
     const dbValidation = validateDatabaseName(database);
     if (!dbValidation.valid) {
-      return res.status(400).json({ error: dbValidation.error });
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    // Check API key scope
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    // Keys restricted to saved queries cannot read or execute outside them
+    const adHocAccess = checkAdHocQueryAccess(req.apiKey);
+    if (!adHocAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', adHocAccess.error));
     }
 
     // Validate procedure name
     if (!procedure) {
-      return res.status(400).json({ error: 'Stored procedure name is required' });
+      return sendError(res, gatewayError(400, 'validation_error', 'Stored procedure name is required'));
     }
 
-    const procValidation = validateStoredProcedureName(procedure);
-    if (!procValidation.valid) {
-      return res.status(400).json({ error: procValidation.error });
+    const procRef = resolveObjectName(req.params.schema, procedure, validateStoredProcedureName);
+    if (!procRef.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', procRef.error));
     }
 
-    const result = await executeStoredProcedure(database, procedure, parameters);
-    res.json(result);
+    const procAccess = checkProcedureAccess(req.apiKey, procRef.qualifiedName);
+    if (!procAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', procAccess.error));
+    }
+
+    setAuditContext(res, { procedure: procRef.qualifiedName, parameterNames: Object.keys(parameters || {}), dryRun });
+
+    // Procedures must be listed in the execution policy
+    const policy = checkExecutionPolicy(req.apiKey, database, procRef.qualifiedName);
+    if (!policy.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', policy.error));
+    }
+    setAuditContext(res, { procedureClassification: policy.classification });
+
+    // Bind values with the declared parameter types
+    const { value: metadata } = await loadProcedureMetadata(database, procRef);
+    if (metadata.infoResult.length === 0) {
+      return sendError(res, gatewayError(404, 'not_found', `Stored procedure '${procRef.qualifiedName}' not found in database '${database}'`));
+    }
+
+    const binding = bindProcedureParameters(
+      procRef.qualifiedName,
+      metadata.paramsResult,
+      metadata.defaults && new Set(metadata.defaults),
+      parameters
+    );
+    if (!binding.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', binding.error));
+    }
+
+    const result = await executeStoredProcedure(database, qualifiedIdentifier(procRef), binding.bindings, { dryRun });
+    setAuditContext(res, {
+      rowCount: result.resultSets.reduce((total, set) => total + set.count, 0),
+      rowsAffected: result.rowsAffected
+    });
+    // Procedure results have no known source tables, so every masking rule of the database applies
+    res.json({
+      ...result,
+      resultSets: result.resultSets.map(set => ({ ...set, ...maskRows(database, null, set.rows) })),
+      classification: policy.classification,
+      tags: policy.tags,
+      dryRun
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /databases/:database/cache
+ * Invalidate the metadata cache of a database (admin keys only), e.g. after a deployment
+ */
+router.delete('/databases/:database/cache', async (req, res) => {
+  try {
+    const { database } = req.params;
+
+    // Validate database name
+    const dbValidation = validateDatabaseName(database);
+    if (!dbValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    const adminAccess = checkAdminAccess(req.apiKey);
+    if (!adminAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', adminAccess.error));
+    }
+
+    res.json({
+      database,
+      invalidated: metadataCache.invalidate(database)
+    });
   } catch (error) {
-    const statusCode = error.message.includes('not allowed') ? 403 : 500;
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
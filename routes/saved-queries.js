@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../db-connector');
+const { validateQuery, applyRowLimit, validateDatabaseName, extractTableReferences, validateQueryParameters } = require('../middleware/validator');
+const { checkDatabaseAccess, checkTableAccess, checkSavedQueryAccess } = require('../key-registry');
+const { setAuditContext } = require('../audit-log');
+const { validateBody } = require('../api-schemas');
+const { maskRows, checkQueryMasking } = require('../masking-policy');
+const { getSavedQuery, listSavedQueries, bindArguments, describeSavedQuery } = require('../saved-queries');
+const { gatewayError, sendError } = require('../error-mapper');
+
+// Record the target database for the audit log
+router.param('database', (req, res, next, database) => {
+  setAuditContext(res, { database });
+  next();
+});
+
+/**
+ * GET /databases/:database/saved-queries
+ * List the saved queries the API key may run on a database, with their parameters
+ */
+router.get('/databases/:database/saved-queries', (req, res) => {
+  const { database } = req.params;
+
+  const dbValidation = validateDatabaseName(database);
+  if (!dbValidation.valid) {
+    return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+  }
+
+  const dbAccess = checkDatabaseAccess(req.apiKey, database);
+  if (!dbAccess.allowed) {
+    return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+  }
+
+  const queries = listSavedQueries(database)
+    .filter(query => checkSavedQueryAccess(req.apiKey, query.name).allowed);
+
+  res.json({
+    database,
+    queries: queries.map(describeSavedQuery),
+    count: queries.length
+  });
+});
+
+/**
+ * POST /databases/:database/saved-queries/:name/run
+ * Run a saved query
+ * Body: { parameters?, maxRows? } where parameters maps parameter names to plain values
+ * (types come from the saved query), e.g. { "customerId": 5 }. Omitted parameters use
+ * their defaults. maxRows lowers the row limit of the saved query.
+ * Table scopes and masking apply as for POST /databases/:database/query.
+ */
+router.post('/databases/:database/saved-queries/:name/run', validateBody('SavedQueryRunRequest'), async (req, res) => {
+  try {
+    const { database, name } = req.params;
+    const { parameters: args = {}, maxRows } = req.body;
+
+    const dbValidation = validateDatabaseName(database);
+    if (!dbValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', dbValidation.error));
+    }
+
+    const dbAccess = checkDatabaseAccess(req.apiKey, database);
+    if (!dbAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', dbAccess.error));
+    }
+
+    setAuditContext(res, { savedQuery: name });
+    const query = getSavedQuery(database, name);
+    if (!query) {
+      return sendError(res, gatewayError(404, 'not_found', `Saved query '${name}' not found for database '${database}'`));
+    }
+
+    const savedQueryAccess = checkSavedQueryAccess(req.apiKey, query.name);
+    if (!savedQueryAccess.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', savedQueryAccess.error));
+    }
+
+    // Three-part names are checked against the target database
+    const queryValidation = validateQuery(query.sql, { database });
+    if (!queryValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', queryValidation.error));
+    }
+
+    const binding = bindArguments(query, args);
+    if (!binding.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', binding.error));
+    }
+    const paramValidation = validateQueryParameters(query.sql, binding.parameters);
+    if (!paramValidation.valid) {
+      return sendError(res, gatewayError(400, 'validation_error', paramValidation.error));
+    }
+
+    const sourceTables = extractTableReferences(query.sql);
+    for (const table of sourceTables) {
+      const tableAccess = checkTableAccess(req.apiKey, table);
+      if (!tableAccess.allowed) {
+        return sendError(res, gatewayError(403, 'forbidden', tableAccess.error));
+      }
+    }
+
+    // Masked columns must keep their names so they are masked in the results
+    const maskingCheck = checkQueryMasking(database, sourceTables, query.sql);
+    if (!maskingCheck.allowed) {
+      return sendError(res, gatewayError(403, 'forbidden', maskingCheck.error));
+    }
+
+    const { query: finalQuery, limited } = applyRowLimit(query.sql, Math.min(maxRows || query.maxRows, query.maxRows));
+    setAuditContext(res, { sql: finalQuery, parameterNames: Object.keys(binding.parameters) });
+
+    const rows = await executeQuery(database, finalQuery, binding.parameters);
+    setAuditContext(res, { rowCount: rows.length });
+    const masked = maskRows(database, sourceTables, rows);
+    res.json({
+      database,
+      name: query.name,
+      rows: masked.rows,
+      count: rows.length,
+      masking: masked.masking,
+      limited
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
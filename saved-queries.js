@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { patternToRegex } = require('./key-registry');
+const { validateParameterDefinition } = require('./sql-types');
+const { validateQuery, validateQueryParameters } = require('./middleware/validator');
+
+/**
+ * Saved queries
+ * Named, reviewed SELECT queries with typed parameters, loaded at startup from every
+ * .json, .yaml and .yml file in SAVED_QUERIES_DIR (see saved-queries.example.yaml):
+ *
+ *   queries:
+ *     - name: orders-by-customer
+ *       description: Recent orders of a customer
+ *       databases: [Common]            # database patterns, default ['*']
+ *       maxRows: 500                   # default 1000
+ *       sql: SELECT ... WHERE CustomerId = @customerId AND OrderDate >= @since
+ *       parameters:
+ *         customerId: { type: int, description: Customer id }
+ *         since: { type: date, default: '2024-01-01' }
+ *
+ * Parameters without a default are required; "default: null" binds NULL. Every query is
+ * validated like a /query request when it is loaded, so a bad file stops the gateway.
+ */
+
+const DEFAULT_MAX_ROWS = 1000;
+const TYPE_OPTIONS = ['type', 'length', 'precision', 'scale'];
+
+/**
+ * Normalize one parameter declaration
+ * @param {string} queryName - Saved query name (for error messages)
+ * @param {string} name - Parameter name
+ * @param {Object} entry - { type, length?, precision?, scale?, description?, default? }
+ * @returns {Object}
+ */
+function normalizeParameter(queryName, name, entry) {
+  const label = `Parameter '@${name}' of saved query '${queryName}'`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${label} must be an object with a type`);
+  }
+  if (entry.description !== undefined && typeof entry.description !== 'string') {
+    throw new Error(`${label} description must be a string`);
+  }
+
+  const definition = {};
+  for (const option of TYPE_OPTIONS) {
+    if (entry[option] !== undefined) definition[option] = entry[option];
+  }
+
+  // Check the type (and the default, when there is one) like a request binding
+  const hasDefault = Object.prototype.hasOwnProperty.call(entry, 'default');
+  const validation = validateParameterDefinition(name, { ...definition, value: hasDefault ? entry.default : null });
+  if (!validation.valid) {
+    throw new Error(`Saved query '${queryName}': ${validation.error}`);
+  }
+
+  return {
+    name,
+    definition,
+    description: entry.description || null,
+    required: !hasDefault,
+    default: hasDefault ? entry.default : undefined
+  };
+}
+
+/**
+ * Normalize one saved query
+ * @param {Object} entry - Raw entry from a saved query file
+ * @param {string} label - Entry label used in error messages
+ * @returns {Object}
+ */
+function normalizeQuery(entry, label) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (typeof entry.name !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_-]*$/.test(entry.name)) {
+    throw new Error(`${label} requires a name of letters, digits, underscores and hyphens`);
+  }
+
+  const name = entry.name;
+  if (entry.description !== undefined && typeof entry.description !== 'string') {
+    throw new Error(`Saved query '${name}' description must be a string`);
+  }
+
+  const databases = entry.databases === undefined ? ['*'] : entry.databases;
+  if (!Array.isArray(databases)) {
+    throw new Error(`Saved query '${name}' databases must be an array`);
+  }
+
+  const maxRows = entry.maxRows === undefined ? DEFAULT_MAX_ROWS : entry.maxRows;
+  if (!Number.isInteger(maxRows) || maxRows < 1) {
+    throw new Error(`Saved query '${name}' maxRows must be a positive integer`);
+  }
+
+  const queryValidation = validateQuery(entry.sql);
+  if (!queryValidation.valid) {
+    throw new Error(`Saved query '${name}': ${queryValidation.error}`);
+  }
+
+  const declared = entry.parameters === undefined ? {} : entry.parameters;
+  if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+    throw new Error(`Saved query '${name}' parameters must be an object keyed by parameter name`);
+  }
+  const parameters = Object.entries(declared).map(([parameter, definition]) => normalizeParameter(name, parameter, definition));
+
+  // Every @name in the SQL must be declared and every declaration used
+  const bindings = Object.fromEntries(parameters.map(parameter => [parameter.name, { ...parameter.definition, value: null }]));
+  const paramValidation = validateQueryParameters(entry.sql, bindings);
+  if (!paramValidation.valid) {
+    throw new Error(`Saved query '${name}': ${paramValidation.error}`);
+  }
+
+  return {
+    name,
+    description: entry.description || null,
+    databases: databases.map(patternToRegex),
+    maxRows,
+    sql: entry.sql,
+    parameters
+  };
+}
+
+/**
+ * Load every saved query file of a directory
+ * @param {string} dirPath - Directory of .json, .yaml or .yml files
+ * @returns {Map<string, Object>} Saved queries keyed by lowercase name
+ */
+function loadSavedQueries(dirPath) {
+  const files = fs.readdirSync(dirPath)
+    .filter(file => ['.json', '.yaml', '.yml'].includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  const queries = new Map();
+  for (const file of files) {
+    const filePath = path.join(dirPath, file);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+    const entries = Array.isArray(data) ? data : data && data.queries;
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`Saved query file '${filePath}' must contain a "queries" array`);
+    }
+
+    entries.forEach((entry, index) => {
+      const query = normalizeQuery(entry, `Saved query #${index + 1} of '${filePath}'`);
+      const key = query.name.toLowerCase();
+      if (queries.has(key)) {
+        throw new Error(`Duplicate saved query '${query.name}' in '${filePath}'`);
+      }
+      queries.set(key, query);
+    });
+  }
+
+  return queries;
+}
+
+const savedQueries = process.env.SAVED_QUERIES_DIR
+  ? loadSavedQueries(path.resolve(process.env.SAVED_QUERIES_DIR))
+  : new Map();
+
+/**
+ * Get a saved query available on a database
+ * @param {string} database - Database name
+ * @param {string} name - Saved query name (case-insensitive)
+ * @returns {Object|null}
+ */
+function getSavedQuery(database, name) {
+  const query = savedQueries.get(String(name).toLowerCase());
+  return query && query.databases.some(pattern => pattern.test(database)) ? query : null;
+}
+
+/**
+ * List the saved queries available on a database
+ * @param {string} database - Database name
+ * @returns {Array<Object>} Sorted by name
+ */
+function listSavedQueries(database) {
+  return [...savedQueries.values()]
+    .filter(query => query.databases.some(pattern => pattern.test(database)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Build the typed bindings of a run from plain argument values
+ * Arguments are keyed by parameter name (case-insensitive); missing arguments use the
+ * parameter default.
+ * @param {Object} query - Saved query
+ * @param {Object} [args] - Argument values keyed by parameter name
+ * @returns {{valid: boolean, error?: string, parameters?: Object}}
+ */
+function bindArguments(query, args = {}) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return { valid: false, error: 'parameters must be an object of values keyed by parameter name' };
+  }
+
+  const declared = new Map(query.parameters.map(parameter => [parameter.name.toLowerCase(), parameter]));
+  const unknown = Object.keys(args).filter(name => !declared.has(name.replace(/^@/, '').toLowerCase()));
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown parameter(s) for saved query '${query.name}': ${unknown.join(', ')}` };
+  }
+
+  const values = new Map(Object.entries(args).map(([name, value]) => [name.replace(/^@/, '').toLowerCase(), value]));
+  const parameters = {};
+  for (const [key, parameter] of declared) {
+    if (values.has(key)) {
+      parameters[parameter.name] = { ...parameter.definition, value: values.get(key) };
+    } else if (!parameter.required) {
+      parameters[parameter.name] = { ...parameter.definition, value: parameter.default };
+    } else {
+      return { valid: false, error: `Missing required parameter '${parameter.name}' for saved query '${query.name}'` };
+    }
+  }
+
+  return { valid: true, parameters };
+}
+
+/**
+ * Describe a saved query for responses (the SQL text is not exposed)
+ * @param {Object} query - Saved query
+ * @returns {Object}
+ */
+function describeSavedQuery(query) {
+  return {
+    name: query.name,
+    description: query.description,
+    maxRows: query.maxRows,
+    parameters: query.parameters.map(parameter => ({
+      name: parameter.name,
+      ...parameter.definition,
+      description: parameter.description,
+      required: parameter.required,
+      ...(parameter.required ? {} : { default: parameter.default })
+    }))
+  };
+}
+
+module.exports = {
+  getSavedQuery,
+  listSavedQueries,
+  bindArguments,
+  describeSavedQuery
+};
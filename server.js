@@ -3,80 +3,107 @@ const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 const queryRoutes = require('./routes/query');
+const metadataRoutes = require('./routes/metadata');
+const jobRoutes = require('./routes/jobs');
+const savedQueryRoutes = require('./routes/saved-queries');
+const exportRoutes = require('./routes/export');
+const auditRoutes = require('./routes/audit');
+const openapiRoutes = require('./routes/openapi');
+const mcpRoutes = require('./routes/mcp');
+const metricsRoutes = require('./routes/metrics');
+const healthRoutes = require('./routes/health');
 const authMiddleware = require('./middleware/auth');
+const auditMiddleware = require('./middleware/audit');
+const rateLimitMiddleware = require('./middleware/rate-limit');
+const requestLogMiddleware = require('./middleware/request-log');
 const { closePool, allowedDatabases } = require('./db-connector');
+const { closeAuditLog } = require('./audit-log');
+const { metricsMiddleware } = require('./metrics');
+const logger = require('./logger');
+const { sendError } = require('./error-mapper');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Request ids (X-Request-Id) and structured request logs
+app.use(requestLogMiddleware);
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '1mb' }));
 
-// Request logging (simple)
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
-  next();
-});
+// Request counts and latency for GET /metrics
+app.use(metricsMiddleware);
 
-// Health check (no auth required)
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    allowedDatabases: allowedDatabases
-  });
-});
+// Liveness and readiness checks (no auth required)
+app.use(healthRoutes);
+
+// Prometheus metrics (metrics token or admin API key)
+app.use(metricsRoutes);
 
 // API Key authentication for all /api routes
 app.use('/api', authMiddleware);
 
+// Audit log of every authenticated API request
+app.use('/api', auditMiddleware);
+
+// MCP endpoint (each tool call is rate limited and audited when it is dispatched)
+app.use('/api/v1', mcpRoutes);
+
+// Per-key rate limits and quotas
+app.use('/api', rateLimitMiddleware);
+
 // API routes
 app.use('/api/v1', queryRoutes);
+app.use('/api/v1', metadataRoutes);
+app.use('/api/v1', jobRoutes);
+app.use('/api/v1', savedQueryRoutes);
+app.use('/api/v1', exportRoutes);
+app.use('/api/v1', auditRoutes);
+app.use('/api/v1', openapiRoutes);
 
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
     error: 'Not Found',
-    message: `Route ${req.method} ${req.path} not found`
+    message: `Route ${req.method} ${req.path} not found`,
+    code: 'not_found',
+    retryable: false
   });
 });
 
-// Global error handler
+// Global error handler (malformed JSON bodies and unexpected errors)
 app.use((err, req, res, next) => {
-  console.error('Error:', err.stack);
-  res.status(500).json({
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred'
-  });
+  sendError(res, err);
 });
 
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`========================================`);
-  console.log(`MSSQL API Gateway started`);
-  console.log(`Port: ${PORT}`);
-  console.log(`Allowed databases: ${allowedDatabases.join(', ') || 'NONE'}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`========================================`);
+  logger.info('MSSQL API Gateway started', {
+    port: Number(PORT),
+    allowedDatabases,
+    healthCheck: `http://localhost:${PORT}/health/ready`
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down...');
+  logger.info('SIGTERM received, shutting down');
   await closePool();
+  await closeAuditLog();
   server.close(() => {
-    console.log('Server closed');
+    logger.info('Server closed');
     process.exit(0);
   });
 });
 
 process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down...');
+  logger.info('SIGINT received, shutting down');
   await closePool();
+  await closeAuditLog();
   server.close(() => {
-    console.log('Server closed');
+    logger.info('Server closed');
     process.exit(0);
   });
 });
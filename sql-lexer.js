@@ -0,0 +1,233 @@
+/**
+ * T-SQL lexer
+ * Splits a query into tokens so validation can tell keywords apart from
+ * string literals, quoted/bracketed identifiers and comments.
+ *
+ * Token types: keyword (unquoted word), identifier (bracketed or double-quoted),
+ * string, number, binary, variable, operator, punctuation, comment, whitespace
+ */
+
+const OPERATORS = ['<>', '!=', '!<', '!>', '<=', '>=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '::',
+  '=', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^', '~'];
+
+const PUNCTUATION = ['(', ')', ',', '.', ';'];
+
+const WORD_START = /[A-Za-z_#\u00C0-\uFFFF]/;
+const WORD_PART = /[A-Za-z0-9_#$@\u00C0-\uFFFF]/;
+
+/**
+ * Compute line/column (1-based) for an offset
+ * @param {string} sql - Source text
+ * @param {number} offset - Character offset
+ * @returns {{offset: number, line: number, column: number}}
+ */
+function positionAt(sql, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < offset; i++) {
+    if (sql[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { offset, line, column: offset - lineStart + 1 };
+}
+
+/**
+ * Create a lexer error carrying the source position
+ * @param {string} sql - Source text
+ * @param {number} offset - Offset of the problem
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function lexError(sql, offset, message) {
+  const position = positionAt(sql, offset);
+  const error = new Error(`${message} (line ${position.line}, column ${position.column})`);
+  error.position = position;
+  return error;
+}
+
+/**
+ * Find the end of a quoted section where the closing quote is escaped by doubling it
+ * @param {string} sql - Source text
+ * @param {number} start - Offset just after the opening quote
+ * @param {string} quote - Closing quote character
+ * @returns {number} Offset just after the closing quote, or -1 if unterminated
+ */
+function scanQuoted(sql, start, quote) {
+  let i = start;
+  while (i < sql.length) {
+    if (sql[i] === quote) {
+      if (sql[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Tokenize a T-SQL string
+ * @param {string} sql - Source text
+ * @returns {Array<{type: string, value: string, start: number, end: number, upper?: string}>}
+ * @throws {Error} On unterminated strings, identifiers or comments and unknown characters
+ *   (error.position holds offset/line/column)
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  const push = (type, end, extra = {}) => {
+    tokens.push({ type, value: sql.slice(i, end), start: i, end, ...extra });
+    i = end;
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      let end = i + 1;
+      while (end < sql.length && /\s/.test(sql[end])) end++;
+      push('whitespace', end);
+      continue;
+    }
+
+    // Line comment
+    if (ch === '-' && next === '-') {
+      let end = sql.indexOf('\n', i);
+      if (end === -1) end = sql.length;
+      push('comment', end);
+      continue;
+    }
+
+    // Block comment (T-SQL block comments nest)
+    if (ch === '/' && next === '*') {
+      let depth = 1;
+      let end = i + 2;
+      while (end < sql.length && depth > 0) {
+        if (sql[end] === '/' && sql[end + 1] === '*') {
+          depth++;
+          end += 2;
+        } else if (sql[end] === '*' && sql[end + 1] === '/') {
+          depth--;
+          end += 2;
+        } else {
+          end++;
+        }
+      }
+      if (depth > 0) {
+        throw lexError(sql, i, 'Unterminated block comment');
+      }
+      push('comment', end);
+      continue;
+    }
+
+    // String literal ('...' or N'...')
+    if (ch === '\'' || ((ch === 'N' || ch === 'n') && next === '\'')) {
+      const open = ch === '\'' ? i : i + 1;
+      const end = scanQuoted(sql, open + 1, '\'');
+      if (end === -1) {
+        throw lexError(sql, i, 'Unterminated string literal');
+      }
+      push('string', end);
+      continue;
+    }
+
+    // Bracketed identifier
+    if (ch === '[') {
+      const end = scanQuoted(sql, i + 1, ']');
+      if (end === -1) {
+        throw lexError(sql, i, 'Unterminated bracketed identifier');
+      }
+      push('identifier', end, { name: sql.slice(i + 1, end - 1).replace(/\]\]/g, ']') });
+      continue;
+    }
+
+    // Double-quoted identifier (QUOTED_IDENTIFIER ON)
+    if (ch === '"') {
+      const end = scanQuoted(sql, i + 1, '"');
+      if (end === -1) {
+        throw lexError(sql, i, 'Unterminated quoted identifier');
+      }
+      push('identifier', end, { name: sql.slice(i + 1, end - 1).replace(/""/g, '"') });
+      continue;
+    }
+
+    // Binary literal
+    if (ch === '0' && (next === 'x' || next === 'X')) {
+      let end = i + 2;
+      while (end < sql.length && /[0-9A-Fa-f]/.test(sql[end])) end++;
+      push('binary', end);
+      continue;
+    }
+
+    // Numeric literal
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+      const match = sql.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+      push('number', i + match[0].length);
+      continue;
+    }
+
+    // Money literal ($12.50)
+    if (ch === '$' && /[0-9.]/.test(next || '')) {
+      const match = sql.slice(i + 1).match(/^(?:\d+\.?\d*|\.\d+)/);
+      push('number', i + 1 + (match ? match[0].length : 0));
+      continue;
+    }
+
+    // Variable (@name) or system function (@@name)
+    if (ch === '@') {
+      let end = next === '@' ? i + 2 : i + 1;
+      while (end < sql.length && WORD_PART.test(sql[end])) end++;
+      if (end === i + 1 || (next === '@' && end === i + 2)) {
+        throw lexError(sql, i, 'Invalid variable name');
+      }
+      push('variable', end, { name: sql.slice(next === '@' ? i + 2 : i + 1, end) });
+      continue;
+    }
+
+    // Keyword or unquoted identifier
+    if (WORD_START.test(ch)) {
+      let end = i + 1;
+      while (end < sql.length && WORD_PART.test(sql[end])) end++;
+      const value = sql.slice(i, end);
+      push('keyword', end, { name: value, upper: value.toUpperCase() });
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => sql.startsWith(op, i));
+    if (operator) {
+      push('operator', i + operator.length);
+      continue;
+    }
+
+    if (PUNCTUATION.includes(ch)) {
+      push('punctuation', i + 1);
+      continue;
+    }
+
+    throw lexError(sql, i, `Unexpected character '${ch}'`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Tokenize and drop whitespace and comments
+ * @param {string} sql - Source text
+ * @returns {Array<Object>} Significant tokens
+ */
+function significantTokens(sql) {
+  return tokenize(sql).filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+}
+
+module.exports = {
+  tokenize,
+  significantTokens,
+  positionAt
+};
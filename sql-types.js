@@ -0,0 +1,208 @@
+const sql = require('mssql');
+
+/**
+ * SQL type mapping for bound parameters
+ * Maps SQL Server type names (lowercase) to mssql types and the options each accepts
+ */
+const TYPE_MAP = {
+  bit: { type: sql.Bit, kind: 'boolean' },
+  tinyint: { type: sql.TinyInt, kind: 'integer' },
+  smallint: { type: sql.SmallInt, kind: 'integer' },
+  int: { type: sql.Int, kind: 'integer' },
+  bigint: { type: sql.BigInt, kind: 'bigint' },
+  decimal: { type: sql.Decimal, kind: 'decimal', precision: true, scale: true },
+  numeric: { type: sql.Numeric, kind: 'decimal', precision: true, scale: true },
+  money: { type: sql.Money, kind: 'decimal' },
+  smallmoney: { type: sql.SmallMoney, kind: 'decimal' },
+  float: { type: sql.Float, kind: 'number' },
+  real: { type: sql.Real, kind: 'number' },
+  char: { type: sql.Char, kind: 'string', length: true },
+  varchar: { type: sql.VarChar, kind: 'string', length: true },
+  nchar: { type: sql.NChar, kind: 'string', length: true },
+  nvarchar: { type: sql.NVarChar, kind: 'string', length: true },
+  text: { type: sql.Text, kind: 'string' },
+  ntext: { type: sql.NText, kind: 'string' },
+  xml: { type: sql.Xml, kind: 'string' },
+  uniqueidentifier: { type: sql.UniqueIdentifier, kind: 'uuid' },
+  date: { type: sql.Date, kind: 'date' },
+  datetime: { type: sql.DateTime, kind: 'date' },
+  smalldatetime: { type: sql.SmallDateTime, kind: 'date' },
+  datetime2: { type: sql.DateTime2, kind: 'date', scale: true },
+  datetimeoffset: { type: sql.DateTimeOffset, kind: 'date', scale: true },
+  time: { type: sql.Time, kind: 'time', scale: true },
+  binary: { type: sql.Binary, kind: 'binary', length: true },
+  varbinary: { type: sql.VarBinary, kind: 'binary', length: true }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a SQL type name is supported
+ * @param {string} typeName - SQL Server type name (e.g. "nvarchar")
+ * @returns {boolean}
+ */
+function isSupportedType(typeName) {
+  return typeof typeName === 'string' && Object.prototype.hasOwnProperty.call(TYPE_MAP, typeName.toLowerCase());
+}
+
+/**
+ * Validate a parameter definition ({ type, value, length?, precision?, scale? })
+ * @param {string} name - Parameter name (for error messages)
+ * @param {Object} definition - Parameter definition
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateParameterDefinition(name, definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { valid: false, error: `Parameter '@${name}' must be an object with type and value` };
+  }
+
+  if (!isSupportedType(definition.type)) {
+    return { valid: false, error: `Parameter '@${name}' has unsupported type '${definition.type}'. Supported types: ${Object.keys(TYPE_MAP).join(', ')}` };
+  }
+
+  const typeInfo = TYPE_MAP[definition.type.toLowerCase()];
+
+  if (definition.length !== undefined) {
+    if (!typeInfo.length) {
+      return { valid: false, error: `Parameter '@${name}' type '${definition.type}' does not accept a length` };
+    }
+    const isMax = typeof definition.length === 'string' && definition.length.toLowerCase() === 'max';
+    if (!isMax && !(Number.isInteger(definition.length) && definition.length > 0 && definition.length <= 8000)) {
+      return { valid: false, error: `Parameter '@${name}' length must be an integer between 1 and 8000 or "max"` };
+    }
+  }
+
+  for (const option of ['precision', 'scale']) {
+    if (definition[option] === undefined) continue;
+    if (!typeInfo[option]) {
+      return { valid: false, error: `Parameter '@${name}' type '${definition.type}' does not accept ${option}` };
+    }
+    if (!Number.isInteger(definition[option]) || definition[option] < 0 || definition[option] > 38) {
+      return { valid: false, error: `Parameter '@${name}' ${option} must be an integer between 0 and 38` };
+    }
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(definition, 'value')) {
+    return { valid: false, error: `Parameter '@${name}' requires a value (use null for NULL)` };
+  }
+
+  return validateValue(name, typeInfo.kind, definition.value);
+}
+
+/**
+ * Validate a parameter value against the kind of its SQL type
+ * @param {string} name - Parameter name
+ * @param {string} kind - Value kind from TYPE_MAP
+ * @param {*} value - Parameter value
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateValue(name, kind, value) {
+  if (value === null) {
+    return { valid: true };
+  }
+
+  const invalid = expected => ({ valid: false, error: `Parameter '@${name}' value must be ${expected}` });
+
+  switch (kind) {
+    case 'boolean':
+      return typeof value === 'boolean' || value === 0 || value === 1 ? { valid: true } : invalid('a boolean or 0/1');
+    case 'integer':
+      return Number.isInteger(value) ? { valid: true } : invalid('an integer');
+    case 'bigint':
+      return Number.isSafeInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value)) ? { valid: true } : invalid('an integer or integer string');
+    case 'decimal':
+      return (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) ? { valid: true } : invalid('a number or numeric string');
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? { valid: true } : invalid('a number');
+    case 'string':
+      return typeof value === 'string' ? { valid: true } : invalid('a string');
+    case 'uuid':
+      return typeof value === 'string' && UUID_PATTERN.test(value) ? { valid: true } : invalid('a UUID string');
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? { valid: true } : invalid('an ISO 8601 date string');
+    case 'time':
+      return typeof value === 'string' && /^\d{2}:\d{2}(:\d{2}(\.\d{1,7})?)?$/.test(value) ? { valid: true } : invalid('a time string (HH:mm[:ss[.fffffff]])');
+    case 'binary':
+      return typeof value === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(value) ? { valid: true } : invalid('a base64 string');
+    default:
+      return invalid('a supported value');
+  }
+}
+
+/**
+ * Build the mssql type for a validated parameter definition
+ * @param {Object} definition - { type, length?, precision?, scale? }
+ * @returns {Object} mssql type instance
+ */
+function resolveSqlType(definition) {
+  const typeInfo = TYPE_MAP[definition.type.toLowerCase()];
+
+  if (typeInfo.length && definition.length !== undefined) {
+    return typeInfo.type(typeof definition.length === 'string' ? sql.MAX : definition.length);
+  }
+  if (typeInfo.precision) {
+    return typeInfo.type(definition.precision, definition.scale);
+  }
+  if (typeInfo.scale) {
+    return typeInfo.type(definition.scale);
+  }
+  return typeInfo.type;
+}
+
+/**
+ * Convert a JSON parameter value into the value passed to mssql
+ * @param {Object} definition - { type, value }
+ * @returns {*}
+ */
+function toSqlValue(definition) {
+  const { value } = definition;
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (TYPE_MAP[definition.type.toLowerCase()].kind) {
+    case 'boolean':
+      return Boolean(value);
+    case 'date':
+      return new Date(value);
+    case 'time':
+      return new Date(`1970-01-01T${value}Z`);
+    case 'binary':
+      return Buffer.from(value, 'base64');
+    default:
+      return value;
+  }
+}
+
+/**
+ * Build a parameter type definition from INFORMATION_SCHEMA metadata
+ * (COLUMNS or PARAMETERS: DATA_TYPE, CHARACTER_MAXIMUM_LENGTH, NUMERIC_PRECISION, NUMERIC_SCALE, DATETIME_PRECISION)
+ * @param {Object} metadata - { type, maxLength?, numericPrecision?, numericScale?, datetimePrecision? }
+ * @returns {{type: string, length?: number|string, precision?: number, scale?: number}}
+ */
+function typeFromMetadata({ type, maxLength, numericPrecision, numericScale, datetimePrecision }) {
+  const definition = { type };
+  const typeInfo = TYPE_MAP[String(type).toLowerCase()];
+  if (!typeInfo) {
+    return definition;
+  }
+
+  if (typeInfo.length && maxLength !== null && maxLength !== undefined) {
+    definition.length = maxLength === -1 ? 'max' : maxLength;
+  }
+  if (typeInfo.precision && numericPrecision !== null && numericPrecision !== undefined) {
+    definition.precision = numericPrecision;
+    definition.scale = numericScale;
+  } else if (typeInfo.scale && datetimePrecision !== null && datetimePrecision !== undefined) {
+    definition.scale = datetimePrecision;
+  }
+  return definition;
+}
+
+module.exports = {
+  isSupportedType,
+  typeFromMetadata,
+  validateParameterDefinition,
+  resolveSqlType,
+  toSqlValue
+};
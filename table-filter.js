@@ -0,0 +1,233 @@
+const { isSupportedType, validateParameterDefinition, typeFromMetadata } = require('./sql-types');
+const { quoteIdentifier } = require('./pagination');
+
+/**
+ * Structured filters for table data
+ * A filter is a list of conditions combined with AND:
+ *   [{ column: "Status", op: "in", value: [1, 2] }, { column: "DeletedAt", op: "isNull" }]
+ * Columns are resolved against the table's INFORMATION_SCHEMA.COLUMNS rows and values
+ * are bound as parameters typed after the column.
+ */
+
+const MAX_CONDITIONS = 50;
+const MAX_IN_VALUES = 1000;
+// SQL Server accepts at most 2100 parameters per request; leave room for pagination
+const MAX_FILTER_PARAMETERS = 2000;
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '<=', '>', '>='];
+const OPERATORS = [...COMPARISON_OPERATORS, 'between', 'in', 'like', 'isNull'];
+
+// Large object types can only be filtered with like / isNull
+const LOB_TYPES = ['text', 'ntext', 'xml'];
+
+// Character and binary types are bound with their variable-length counterpart
+const BINDING_TYPES = { char: 'varchar', nchar: 'nvarchar', binary: 'varbinary' };
+
+/**
+ * Find a column by name (case-insensitive, like the default SQL Server collation)
+ * @param {Array<Object>} columns - Column metadata ({ name, type, ... })
+ * @param {string} name - Requested column name
+ * @returns {Object|null} The column metadata, or null if the table has no such column
+ */
+function findColumn(columns, name) {
+  if (typeof name !== 'string') return null;
+  const lower = name.toLowerCase();
+  return columns.find(column => column.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Resolve the requested select list
+ * @param {Array<Object>} columns - Column metadata
+ * @param {string|string[]} requested - "*", a comma-separated list or an array of column names
+ * @param {string} table - Table name (for error messages)
+ * @returns {{valid: boolean, error?: string, clause?: string}}
+ */
+function resolveSelectList(columns, requested, table) {
+  if (requested === '*') {
+    return { valid: true, clause: '*' };
+  }
+
+  const names = Array.isArray(requested)
+    ? requested
+    : String(requested).split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    return { valid: false, error: 'columns must list at least one column' };
+  }
+
+  const quoted = [];
+  for (const name of names) {
+    const column = findColumn(columns, name);
+    if (!column) {
+      return { valid: false, error: `Unknown column '${name}' in table '${table}'` };
+    }
+    quoted.push(quoteIdentifier(column.name));
+  }
+
+  return { valid: true, clause: quoted.join(', ') };
+}
+
+/**
+ * Resolve orderBy columns to the table's column names
+ * @param {Array<Object>} columns - Column metadata
+ * @param {Array<{column: string, dir: string}>} orderBy - Parsed orderBy
+ * @param {string} table - Table name (for error messages)
+ * @returns {{valid: boolean, error?: string, orderBy?: Array<{column: string, dir: string}>}}
+ */
+function resolveOrderBy(columns, orderBy, table) {
+  const result = [];
+  for (const item of orderBy) {
+    const column = findColumn(columns, item.column);
+    if (!column) {
+      return { valid: false, error: `Unknown orderBy column '${item.column}' in table '${table}'` };
+    }
+    result.push({ column: column.name, dir: item.dir });
+  }
+  return { valid: true, orderBy: result };
+}
+
+/**
+ * Build the parameter definition for a value compared with a column
+ * @param {Object} column - Column metadata
+ * @param {*} value - JSON value
+ * @param {boolean} [pattern] - Bind as a LIKE pattern of unlimited length
+ * @returns {Object} Parameter definition ({ type, value, length?, precision?, scale? })
+ */
+function toParameter(column, value, pattern = false) {
+  const definition = { ...typeFromMetadata({ ...column, type: BINDING_TYPES[column.type] || column.type }), value };
+
+  if (definition.length !== undefined) {
+    // Values longer than the column are bound as max so they are not truncated into a match
+    const tooLong = typeof value === 'string' && value.length > definition.length;
+    if (pattern || tooLong) {
+      definition.length = 'max';
+    }
+  } else if (pattern) {
+    definition.length = 'max';
+  }
+
+  return definition;
+}
+
+/**
+ * Validate a structured filter and build its WHERE predicate
+ * @param {Array<Object>} where - Conditions ({ column, op, value }) from the request body
+ * @param {Array<Object>} columns - Column metadata ({ name, type, maxLength, numericPrecision, numericScale, datetimePrecision })
+ * @param {string} table - Table name (for error messages)
+ * @returns {{valid: boolean, error?: string, clause?: string, parameters?: Object}}
+ *   clause is an empty string when there are no conditions; parameters are named __whereN
+ */
+function buildFilter(where, columns, table) {
+  if (where === undefined || where === null) {
+    return { valid: true, clause: '', parameters: {} };
+  }
+  if (!Array.isArray(where)) {
+    return { valid: false, error: 'where must be an array of conditions' };
+  }
+  if (where.length > MAX_CONDITIONS) {
+    return { valid: false, error: `where supports at most ${MAX_CONDITIONS} conditions` };
+  }
+
+  const predicates = [];
+  const parameters = {};
+  let index = 0;
+
+  // Bind a value and return its placeholder
+  const bind = (column, value, label, pattern) => {
+    const name = `__where${index++}`;
+    const definition = toParameter(column, value, pattern);
+    const validation = validateParameterDefinition(name, definition);
+    if (!validation.valid) {
+      const error = new Error(`Invalid value for ${label}: ${validation.error.replace(`Parameter '@${name}' `, '')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    parameters[name] = definition;
+    return `@${name}`;
+  };
+
+  try {
+    for (let i = 0; i < where.length; i++) {
+      const condition = where[i];
+      if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return { valid: false, error: `where[${i}] must be an object with column and op` };
+      }
+
+      const { op, value } = condition;
+      const column = findColumn(columns, condition.column);
+      if (!column) {
+        return { valid: false, error: `Unknown where column '${condition.column}' in table '${table}'` };
+      }
+      if (!OPERATORS.includes(op)) {
+        return { valid: false, error: `Invalid where operator '${op}'. Supported operators: ${OPERATORS.join(', ')}` };
+      }
+
+      const label = `where[${i}] (${column.name})`;
+      const target = quoteIdentifier(column.name);
+
+      if (op === 'isNull') {
+        if (value !== undefined && typeof value !== 'boolean') {
+          return { valid: false, error: `${label}: isNull takes an optional boolean value` };
+        }
+        predicates.push(`${target} IS ${value === false ? 'NOT ' : ''}NULL`);
+        continue;
+      }
+
+      if (!isSupportedType(column.type)) {
+        return { valid: false, error: `${label}: filtering on columns of type '${column.type}' is not supported` };
+      }
+
+      if (op !== 'like' && LOB_TYPES.includes(column.type)) {
+        return { valid: false, error: `${label}: '${op}' is not supported on columns of type '${column.type}'` };
+      }
+
+      if (COMPARISON_OPERATORS.includes(op)) {
+        if (value === undefined || value === null) {
+          return { valid: false, error: `${label}: '${op}' requires a non-null value (use isNull for NULL checks)` };
+        }
+        predicates.push(`${target} ${op} ${bind(column, value, label)}`);
+      } else if (op === 'between') {
+        if (!Array.isArray(value) || value.length !== 2 || value.includes(null)) {
+          return { valid: false, error: `${label}: between requires a value of [low, high]` };
+        }
+        predicates.push(`${target} BETWEEN ${bind(column, value[0], label)} AND ${bind(column, value[1], label)}`);
+      } else if (op === 'in') {
+        if (!Array.isArray(value) || value.length === 0 || value.length > MAX_IN_VALUES || value.includes(null)) {
+          return { valid: false, error: `${label}: in requires an array of 1 to ${MAX_IN_VALUES} non-null values` };
+        }
+        predicates.push(`${target} IN (${value.map(item => bind(column, item, label)).join(', ')})`);
+      } else if (op === 'like') {
+        if (!['char', 'varchar', 'nchar', 'nvarchar', 'text', 'ntext'].includes(column.type)) {
+          return { valid: false, error: `${label}: like is only supported on character columns` };
+        }
+        if (typeof value !== 'string') {
+          return { valid: false, error: `${label}: like requires a string pattern` };
+        }
+        const likeColumn = { ...column, type: ['nchar', 'nvarchar', 'ntext'].includes(column.type) ? 'nvarchar' : 'varchar' };
+        predicates.push(`${target} LIKE ${bind(likeColumn, value, label, true)}`);
+      }
+
+      if (index > MAX_FILTER_PARAMETERS) {
+        return { valid: false, error: `where binds too many values (maximum ${MAX_FILTER_PARAMETERS})` };
+      }
+    }
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return { valid: false, error: error.message };
+    }
+    throw error;
+  }
+
+  return {
+    valid: true,
+    clause: predicates.map(predicate => `(${predicate})`).join(' AND '),
+    parameters
+  };
+}
+
+module.exports = {
+  OPERATORS,
+  findColumn,
+  resolveSelectList,
+  resolveOrderBy,
+  buildFilter
+};
@@ -24,6 +24,11 @@ async function testConnection() {
   console.log('MSSQL Connection Test');
   console.log('='.repeat(50));
   console.log('');
+  if (process.env.DATA_SOURCES_FILE) {
+    console.log('Note: DATA_SOURCES_FILE is set; this test only checks the DB_* connection settings.');
+    console.log('      Use GET /health/ready with an API key to probe every configured database.');
+    console.log('');
+  }
   console.log('Configuration:');
   console.log(`  Server: ${config.server}`);
   console.log(`  Port: ${config.port}`);